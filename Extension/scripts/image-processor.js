@@ -32,6 +32,7 @@
       this._yuvCache = new Map();
       this._oklabCache = new Map();
       this._lchCache = new Map();
+      this._paletteCache = new WeakMap();
       
       // Configuration
       this.TRANSPARENCY_THRESHOLD = 128;
@@ -72,10 +73,9 @@
      */
     async loadFromBitmap(bitmap) {
       this.img = bitmap;
-      this.canvas = document.createElement('canvas');
-      this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
-      this.canvas.width = bitmap.width;
-      this.canvas.height = bitmap.height;
+      const { canvas, ctx } = this._createWorkCanvas(bitmap.width, bitmap.height);
+      this.canvas = canvas;
+      this.ctx = ctx;
       this.ctx.drawImage(bitmap, 0, 0);
       // Clear caches when loading new image
       this.clearCaches();
@@ -182,25 +182,19 @@
 
     /**
      * Route to appropriate resampling method
+     * Every method works for any scale factor, including upscaling
      */
     resampleImage(source, dstW, dstH, method = 'nearest') {
-      const srcW = source.width;
-      const factor = srcW / dstW;
-      const isInteger = Math.abs(factor - Math.round(factor)) < 1e-6;
-
-      // Non-integer factors: only nearest and bilinear work
-      if (!isInteger) {
-        if (method === 'bilinear') return this.resampleBilinear(source, dstW, dstH);
-        return this.resampleNearest(source, dstW, dstH);
-      }
-
-      const intFactor = Math.max(1, Math.round(factor));
-      
       switch (method) {
         case 'bilinear': return this.resampleBilinear(source, dstW, dstH);
-        case 'box': return this.resampleBox(source, dstW, dstH, intFactor);
-        case 'median': return this.resampleMedian(source, dstW, dstH, intFactor);
-        case 'dominant': return this.resampleDominant(source, dstW, dstH, intFactor);
+        case 'bicubic': return this.resampleBicubic(source, dstW, dstH);
+        case 'mitchell': return this.resampleBicubic(source, dstW, dstH, 1 / 3, 1 / 3);
+        case 'lanczos':
+        case 'lanczos3': return this.resampleLanczos(source, dstW, dstH, 3);
+        case 'lanczos2': return this.resampleLanczos(source, dstW, dstH, 2);
+        case 'box': return this.resampleBox(source, dstW, dstH);
+        case 'median': return this.resampleMedian(source, dstW, dstH);
+        case 'dominant': return this.resampleDominant(source, dstW, dstH);
         default: return this.resampleNearest(source, dstW, dstH);
       }
     }
@@ -209,10 +203,7 @@
      * Nearest neighbor (pixel-perfect, sharp edges)
      */
     resampleNearest(source, dstW, dstH) {
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d', { willReadFrequently: true });
-      canvas.width = dstW;
-      canvas.height = dstH;
+      const { canvas, ctx } = this._createWorkCanvas(dstW, dstH);
       ctx.imageSmoothingEnabled = false;
       ctx.drawImage(source, 0, 0, dstW, dstH);
       return canvas;
@@ -222,10 +213,7 @@
      * Bilinear (smooth, anti-aliased)
      */
     resampleBilinear(source, dstW, dstH) {
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d', { willReadFrequently: true });
-      canvas.width = dstW;
-      canvas.height = dstH;
+      const { canvas, ctx } = this._createWorkCanvas(dstW, dstH);
       ctx.imageSmoothingEnabled = true;
       ctx.imageSmoothingQuality = 'high';
       ctx.drawImage(source, 0, 0, dstW, dstH);
@@ -233,99 +221,274 @@
     }
 
     /**
-     * Box filter (average of pixels in block)
+     * Bicubic (BC-spline family)
+     * Defaults to Catmull-Rom (B=0, C=0.5); B=C=1/3 gives Mitchell-Netravali
      */
-    resampleBox(source, dstW, dstH, factor) {
-      const srcCanvas = document.createElement('canvas');
-      const srcCtx = srcCanvas.getContext('2d', { willReadFrequently: true });
-      srcCanvas.width = source.width;
-      srcCanvas.height = source.height;
-      srcCtx.drawImage(source, 0, 0);
-      const srcData = srcCtx.getImageData(0, 0, source.width, source.height).data;
-      
-      const dstCanvas = document.createElement('canvas');
-      const dstCtx = dstCanvas.getContext('2d', { willReadFrequently: true });
-      dstCanvas.width = dstW;
-      dstCanvas.height = dstH;
+    resampleBicubic(source, dstW, dstH, B = 0, C = 0.5) {
+      const p0 = (6 - 2 * B) / 6;
+      const p2 = (-18 + 12 * B + 6 * C) / 6;
+      const p3 = (12 - 9 * B - 6 * C) / 6;
+      const q0 = (8 * B + 24 * C) / 6;
+      const q1 = (-12 * B - 48 * C) / 6;
+      const q2 = (6 * B + 30 * C) / 6;
+      const q3 = (-B - 6 * C) / 6;
+
+      const kernel = (x) => {
+        x = Math.abs(x);
+        if (x < 1) return p0 + x * x * (p2 + x * p3);
+        if (x < 2) return q0 + x * (q1 + x * (q2 + x * q3));
+        return 0;
+      };
+
+      return this._resampleSeparable(source, dstW, dstH, kernel, 2);
+    }
+
+    /**
+     * Lanczos (windowed sinc, sharpest of the smooth filters)
+     */
+    resampleLanczos(source, dstW, dstH, lobes = 3) {
+      const sinc = (x) => {
+        if (x === 0) return 1;
+        const px = Math.PI * x;
+        return Math.sin(px) / px;
+      };
+      const kernel = (x) => {
+        x = Math.abs(x);
+        return x < lobes ? sinc(x) * sinc(x / lobes) : 0;
+      };
+
+      return this._resampleSeparable(source, dstW, dstH, kernel, lobes);
+    }
+
+    /**
+     * Build per-destination filter taps for one axis
+     * When downscaling the kernel is stretched by the scale factor so it
+     * integrates over every source pixel instead of skipping them
+     * @private
+     */
+    _buildFilterTaps(srcSize, dstSize, kernel, support) {
+      const scale = srcSize / dstSize;
+      const filterScale = Math.max(1, scale);
+      const radius = support * filterScale;
+      const taps = new Array(dstSize);
+
+      for (let i = 0; i < dstSize; i++) {
+        const center = (i + 0.5) * scale - 0.5;
+        const start = Math.ceil(center - radius);
+        const end = Math.floor(center + radius);
+        const indices = [];
+        const weights = [];
+        let total = 0;
+
+        for (let s = start; s <= end; s++) {
+          const w = kernel((s - center) / filterScale);
+          if (w === 0) continue;
+          indices.push(Math.min(srcSize - 1, Math.max(0, s)));
+          weights.push(w);
+          total += w;
+        }
+
+        if (total !== 0) {
+          for (let k = 0; k < weights.length; k++) weights[k] /= total;
+        } else {
+          indices.push(Math.min(srcSize - 1, Math.max(0, Math.round(center))));
+          weights.push(1);
+        }
+
+        taps[i] = { indices: Int32Array.from(indices), weights: Float32Array.from(weights) };
+      }
+
+      return taps;
+    }
+
+    /**
+     * Separable two-pass convolution resampler
+     * Works on premultiplied alpha so transparent pixels do not bleed dark fringes
+     * @private
+     */
+    _resampleSeparable(source, dstW, dstH, kernel, support) {
+      const { data: srcData, width: sw, height: sh } = this._getSourcePixels(source);
+      const xTaps = this._buildFilterTaps(sw, dstW, kernel, support);
+      const yTaps = this._buildFilterTaps(sh, dstH, kernel, support);
+
+      // Premultiply into float buffer
+      const src = new Float32Array(sw * sh * 4);
+      for (let i = 0; i < src.length; i += 4) {
+        const a = srcData[i + 3] / 255;
+        src[i] = srcData[i] * a;
+        src[i + 1] = srcData[i + 1] * a;
+        src[i + 2] = srcData[i + 2] * a;
+        src[i + 3] = srcData[i + 3];
+      }
+
+      // Horizontal pass: sw x sh -> dstW x sh
+      const tmp = new Float32Array(dstW * sh * 4);
+      for (let y = 0; y < sh; y++) {
+        const rowOffset = y * sw;
+        for (let x = 0; x < dstW; x++) {
+          const { indices, weights } = xTaps[x];
+          let r = 0, g = 0, b = 0, a = 0;
+          for (let k = 0; k < indices.length; k++) {
+            const p = (rowOffset + indices[k]) * 4;
+            const w = weights[k];
+            r += src[p] * w; g += src[p + 1] * w;
+            b += src[p + 2] * w; a += src[p + 3] * w;
+          }
+          const q = (y * dstW + x) * 4;
+          tmp[q] = r; tmp[q + 1] = g; tmp[q + 2] = b; tmp[q + 3] = a;
+        }
+      }
+
+      // Vertical pass: dstW x sh -> dstW x dstH, then un-premultiply
+      const { canvas: dstCanvas, ctx: dstCtx } = this._createWorkCanvas(dstW, dstH);
       const dstImageData = dstCtx.createImageData(dstW, dstH);
       const dstData = dstImageData.data;
 
-      const sw = source.width, sh = source.height;
+      for (let y = 0; y < dstH; y++) {
+        const { indices, weights } = yTaps[y];
+        for (let x = 0; x < dstW; x++) {
+          let r = 0, g = 0, b = 0, a = 0;
+          for (let k = 0; k < indices.length; k++) {
+            const p = (indices[k] * dstW + x) * 4;
+            const w = weights[k];
+            r += tmp[p] * w; g += tmp[p + 1] * w;
+            b += tmp[p + 2] * w; a += tmp[p + 3] * w;
+          }
+          const q = (y * dstW + x) * 4;
+          if (a <= 0) {
+            dstData[q] = dstData[q + 1] = dstData[q + 2] = dstData[q + 3] = 0;
+            continue;
+          }
+          const inv = 255 / a;
+          dstData[q] = r * inv;
+          dstData[q + 1] = g * inv;
+          dstData[q + 2] = b * inv;
+          dstData[q + 3] = a;
+        }
+      }
+
+      dstCtx.putImageData(dstImageData, 0, 0);
+      return dstCanvas;
+    }
+
+    /**
+     * Build area-coverage spans for one axis
+     * Each destination pixel covers [i * scale, (i + 1) * scale) of the source;
+     * partially covered source pixels get fractional weights
+     * @private
+     */
+    _buildCoverageSpans(srcSize, dstSize) {
+      const scale = srcSize / dstSize;
+      const spans = new Array(dstSize);
+
+      for (let i = 0; i < dstSize; i++) {
+        const s0 = i * scale;
+        const s1 = Math.min(srcSize, (i + 1) * scale);
+        const start = Math.floor(s0);
+        const end = Math.max(start + 1, Math.ceil(s1));
+        const weights = new Float32Array(end - start);
+
+        for (let s = start; s < end; s++) {
+          weights[s - start] = Math.max(0, Math.min(s + 1, s1) - Math.max(s, s0));
+        }
+        // Guard against zero coverage from floating point edge cases
+        if (weights.every(w => w === 0)) weights[0] = 1;
+
+        spans[i] = { start: Math.min(start, srcSize - 1), weights };
+      }
+
+      return spans;
+    }
+
+    /**
+     * Box filter (area-weighted average of covered pixels)
+     */
+    resampleBox(source, dstW, dstH) {
+      const { data: srcData, width: sw, height: sh } = this._getSourcePixels(source);
+      const { canvas: dstCanvas, ctx: dstCtx } = this._createWorkCanvas(dstW, dstH);
+      const dstImageData = dstCtx.createImageData(dstW, dstH);
+      const dstData = dstImageData.data;
+
+      const xSpans = this._buildCoverageSpans(sw, dstW);
+      const ySpans = this._buildCoverageSpans(sh, dstH);
 
       for (let y = 0; y < dstH; y++) {
-        const sy0 = y * factor;
-        const sy1 = Math.min(sh, sy0 + factor);
+        const ys = ySpans[y];
         for (let x = 0; x < dstW; x++) {
-          const sx0 = x * factor;
-          const sx1 = Math.min(sw, sx0 + factor);
-          let r = 0, g = 0, b = 0, a = 0, cnt = 0;
-          
-          for (let yy = sy0; yy < sy1; yy++) {
-            let p = (yy * sw + sx0) * 4;
-            for (let xx = sx0; xx < sx1; xx++) {
-              r += srcData[p]; g += srcData[p + 1];
-              b += srcData[p + 2]; a += srcData[p + 3];
-              cnt++; p += 4;
+          const xs = xSpans[x];
+          let r = 0, g = 0, b = 0, a = 0, total = 0;
+
+          for (let j = 0; j < ys.weights.length; j++) {
+            const wy = ys.weights[j];
+            if (wy === 0) continue;
+            const rowOffset = Math.min(sh - 1, ys.start + j) * sw;
+            for (let i = 0; i < xs.weights.length; i++) {
+              const w = wy * xs.weights[i];
+              if (w === 0) continue;
+              const p = (rowOffset + Math.min(sw - 1, xs.start + i)) * 4;
+              // Weight colour by alpha so transparent pixels don't darken edges
+              const wa = w * srcData[p + 3];
+              r += srcData[p] * wa; g += srcData[p + 1] * wa;
+              b += srcData[p + 2] * wa; a += wa;
+              total += w;
             }
           }
-          
+
           const q = (y * dstW + x) * 4;
-          dstData[q] = Math.round(r / cnt);
-          dstData[q + 1] = Math.round(g / cnt);
-          dstData[q + 2] = Math.round(b / cnt);
-          dstData[q + 3] = Math.round(a / cnt);
+          if (a > 0) {
+            dstData[q] = Math.round(r / a);
+            dstData[q + 1] = Math.round(g / a);
+            dstData[q + 2] = Math.round(b / a);
+          }
+          dstData[q + 3] = total > 0 ? Math.round(a / total) : 0;
         }
       }
-      
+
       dstCtx.putImageData(dstImageData, 0, 0);
       return dstCanvas;
     }
 
     /**
-     * Median filter (median color in block - reduces noise)
+     * Median filter (weighted median color of covered pixels - reduces noise)
      */
-    resampleMedian(source, dstW, dstH, factor) {
-      const srcCanvas = document.createElement('canvas');
-      const srcCtx = srcCanvas.getContext('2d', { willReadFrequently: true });
-      srcCanvas.width = source.width;
-      srcCanvas.height = source.height;
-      srcCtx.drawImage(source, 0, 0);
-      const srcData = srcCtx.getImageData(0, 0, source.width, source.height).data;
-      
-      const dstCanvas = document.createElement('canvas');
-      const dstCtx = dstCanvas.getContext('2d', { willReadFrequently: true });
-      dstCanvas.width = dstW;
-      dstCanvas.height = dstH;
+    resampleMedian(source, dstW, dstH) {
+      const { data: srcData, width: sw, height: sh } = this._getSourcePixels(source);
+      const { canvas: dstCanvas, ctx: dstCtx } = this._createWorkCanvas(dstW, dstH);
       const dstImageData = dstCtx.createImageData(dstW, dstH);
       const dstData = dstImageData.data;
 
-      const sw = source.width, sh = source.height;
-      const rHist = new Uint32Array(16);
-      const gHist = new Uint32Array(16);
-      const bHist = new Uint32Array(16);
-      const aHist = new Uint32Array(16);
+      const xSpans = this._buildCoverageSpans(sw, dstW);
+      const ySpans = this._buildCoverageSpans(sh, dstH);
+      const rHist = new Float64Array(16);
+      const gHist = new Float64Array(16);
+      const bHist = new Float64Array(16);
+      const aHist = new Float64Array(16);
       const binToByte = (bin) => (bin * 17) | 0;
 
       for (let y = 0; y < dstH; y++) {
-        const sy0 = y * factor;
-        const sy1 = Math.min(sh, sy0 + factor);
+        const ys = ySpans[y];
         for (let x = 0; x < dstW; x++) {
+          const xs = xSpans[x];
           rHist.fill(0); gHist.fill(0); bHist.fill(0); aHist.fill(0);
-          const sx0 = x * factor;
-          const sx1 = Math.min(sw, sx0 + factor);
-          
-          for (let yy = sy0; yy < sy1; yy++) {
-            let p = (yy * sw + sx0) * 4;
-            for (let xx = sx0; xx < sx1; xx++) {
-              rHist[srcData[p] >> 4]++;
-              gHist[srcData[p + 1] >> 4]++;
-              bHist[srcData[p + 2] >> 4]++;
-              aHist[srcData[p + 3] >> 4]++;
-              p += 4;
+          let total = 0;
+
+          for (let j = 0; j < ys.weights.length; j++) {
+            const wy = ys.weights[j];
+            if (wy === 0) continue;
+            const rowOffset = Math.min(sh - 1, ys.start + j) * sw;
+            for (let i = 0; i < xs.weights.length; i++) {
+              const w = wy * xs.weights[i];
+              if (w === 0) continue;
+              const p = (rowOffset + Math.min(sw - 1, xs.start + i)) * 4;
+              rHist[srcData[p] >> 4] += w;
+              gHist[srcData[p + 1] >> 4] += w;
+              bHist[srcData[p + 2] >> 4] += w;
+              aHist[srcData[p + 3] >> 4] += w;
+              total += w;
             }
           }
-          
-          const half = ((sx1 - sx0) * (sy1 - sy0)) >> 1;
+
+          const half = total / 2;
           const medianFrom = (hist) => {
             let acc = 0;
             for (let i = 0; i < 16; i++) {
@@ -334,7 +497,7 @@
             }
             return binToByte(15);
           };
-          
+
           const q = (y * dstW + x) * 4;
           dstData[q] = medianFrom(rHist);
           dstData[q + 1] = medianFrom(gHist);
@@ -342,66 +505,224 @@
           dstData[q + 3] = medianFrom(aHist);
         }
       }
-      
+
       dstCtx.putImageData(dstImageData, 0, 0);
       return dstCanvas;
     }
 
     /**
-     * Dominant color (most frequent color in block - preserves hard edges)
+     * Dominant color (color with the largest covered area - preserves hard edges)
      */
-    resampleDominant(source, dstW, dstH, factor) {
-      const srcCanvas = document.createElement('canvas');
-      const srcCtx = srcCanvas.getContext('2d', { willReadFrequently: true });
-      srcCanvas.width = source.width;
-      srcCanvas.height = source.height;
-      srcCtx.drawImage(source, 0, 0);
-      const srcData = srcCtx.getImageData(0, 0, source.width, source.height).data;
-      
-      const dstCanvas = document.createElement('canvas');
-      const dstCtx = dstCanvas.getContext('2d', { willReadFrequently: true });
-      dstCanvas.width = dstW;
-      dstCanvas.height = dstH;
+    resampleDominant(source, dstW, dstH) {
+      const { data: srcData, width: sw, height: sh } = this._getSourcePixels(source);
+      const { canvas: dstCanvas, ctx: dstCtx } = this._createWorkCanvas(dstW, dstH);
       const dstImageData = dstCtx.createImageData(dstW, dstH);
       const dstData = dstImageData.data;
 
-      const sw = source.width, sh = source.height;
-      const counts = new Uint32Array(4096);
+      const xSpans = this._buildCoverageSpans(sw, dstW);
+      const ySpans = this._buildCoverageSpans(sh, dstH);
+      const counts = new Float64Array(4096);
+      const touched = new Int32Array(4096);
 
       for (let y = 0; y < dstH; y++) {
-        const sy0 = y * factor;
-        const sy1 = Math.min(sh, sy0 + factor);
+        const ys = ySpans[y];
         for (let x = 0; x < dstW; x++) {
-          counts.fill(0);
-          const sx0 = x * factor;
-          const sx1 = Math.min(sw, sx0 + factor);
+          const xs = xSpans[x];
+          let touchedCount = 0;
           let bestIdx = 0, bestCount = -1;
-          
-          for (let yy = sy0; yy < sy1; yy++) {
-            let p = (yy * sw + sx0) * 4;
-            for (let xx = sx0; xx < sx1; xx++) {
-              const r = srcData[p] >> 4;
-              const g = srcData[p + 1] >> 4;
-              const b = srcData[p + 2] >> 4;
-              const idx = (r << 8) | (g << 4) | b;
-              const c = (counts[idx] = (counts[idx] + 1) >>> 0);
+          let alphaSum = 0, total = 0;
+
+          for (let j = 0; j < ys.weights.length; j++) {
+            const wy = ys.weights[j];
+            if (wy === 0) continue;
+            const rowOffset = Math.min(sh - 1, ys.start + j) * sw;
+            for (let i = 0; i < xs.weights.length; i++) {
+              const w = wy * xs.weights[i];
+              if (w === 0) continue;
+              const p = (rowOffset + Math.min(sw - 1, xs.start + i)) * 4;
+              alphaSum += srcData[p + 3] * w;
+              total += w;
+              if (srcData[p + 3] < this.TRANSPARENCY_THRESHOLD) continue;
+
+              const idx = ((srcData[p] >> 4) << 8) | ((srcData[p + 1] >> 4) << 4) | (srcData[p + 2] >> 4);
+              if (counts[idx] === 0) touched[touchedCount++] = idx;
+              const c = (counts[idx] += w);
               if (c > bestCount) { bestCount = c; bestIdx = idx; }
-              p += 4;
             }
           }
-          
-          const r = ((bestIdx >> 8) & 0xF) * 17;
-          const g = ((bestIdx >> 4) & 0xF) * 17;
-          const b = (bestIdx & 0xF) * 17;
+
+          // Reset only the bins we used - clearing all 4096 per pixel is slow
+          for (let t = 0; t < touchedCount; t++) counts[touched[t]] = 0;
+
           const q = (y * dstW + x) * 4;
-          dstData[q] = r; dstData[q + 1] = g; dstData[q + 2] = b; dstData[q + 3] = 255;
+          dstData[q] = ((bestIdx >> 8) & 0xF) * 17;
+          dstData[q + 1] = ((bestIdx >> 4) & 0xF) * 17;
+          dstData[q + 2] = (bestIdx & 0xF) * 17;
+          dstData[q + 3] = bestCount > 0 ? Math.round(alphaSum / total) : 0;
         }
       }
-      
+
       dstCtx.putImageData(dstImageData, 0, 0);
       return dstCanvas;
     }
 
+    /**
+     * Read RGBA pixels from any drawable source
+     * @private
+     */
+    _getSourcePixels(source) {
+      const { ctx } = this._createWorkCanvas(source.width, source.height);
+      ctx.drawImage(source, 0, 0);
+      return {
+        data: ctx.getImageData(0, 0, source.width, source.height).data,
+        width: source.width,
+        height: source.height
+      };
+    }
+
+    /**
+     * Create a scratch canvas for pixel work
+     * Uses OffscreenCanvas when running inside the processing worker
+     * @private
+     */
+    _createWorkCanvas(width, height) {
+      let canvas;
+      if (typeof document === 'undefined') {
+        canvas = new OffscreenCanvas(width, height);
+      } else {
+        canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+      }
+      const ctx = canvas.getContext('2d', { willReadFrequently: true });
+      return { canvas, ctx };
+    }
+
+    // ============================================================
+    // TRANSFORM (CROP / FLIP / ROTATE)
+    // ============================================================
+
+    /**
+     * Size of the image after transform() without running it
+     * @param {number} width - Source width
+     * @param {number} height - Source height
+     * @param {Object} opts - Same options as transform()
+     */
+    static getTransformedSize(width, height, opts = {}) {
+      const crop = ImageProcessor._clampCrop(opts.crop, width, height);
+      let w = crop ? crop.width : width;
+      let h = crop ? crop.height : height;
+      if (opts.rotate === 90 || opts.rotate === 270) [w, h] = [h, w];
+
+      const angle = ((opts.freeRotation || 0) * Math.PI) / 180;
+      if (angle !== 0) {
+        const cos = Math.abs(Math.cos(angle));
+        const sin = Math.abs(Math.sin(angle));
+        [w, h] = [Math.round(w * cos + h * sin), Math.round(w * sin + h * cos)];
+      }
+      return { width: Math.max(1, w), height: Math.max(1, h) };
+    }
+
+    /**
+     * Clamp a crop rectangle to the image, null when it covers everything
+     */
+    static _clampCrop(crop, width, height) {
+      if (!crop) return null;
+      const x = Math.max(0, Math.min(width - 1, Math.round(crop.x)));
+      const y = Math.max(0, Math.min(height - 1, Math.round(crop.y)));
+      const w = Math.max(1, Math.min(width - x, Math.round(crop.width)));
+      const h = Math.max(1, Math.min(height - y, Math.round(crop.height)));
+      if (x === 0 && y === 0 && w === width && h === height) return null;
+      return { x, y, width: w, height: h };
+    }
+
+    /**
+     * Crop, then flip, then rotate the loaded image
+     * Runs before every other stage so crop coordinates refer to the original
+     * @param {Object} opts - { crop: {x, y, width, height}, flipH, flipV, rotate: 0|90|180|270, freeRotation: degrees }
+     */
+    transform(opts = {}) {
+      if (!this.canvas || !this.ctx) throw new Error('Image not loaded');
+      const { flipH = false, flipV = false, rotate = 0, freeRotation = 0 } = opts;
+      let source = this.canvas;
+
+      const crop = ImageProcessor._clampCrop(opts.crop, source.width, source.height);
+      if (crop) {
+        const { canvas, ctx } = this._createWorkCanvas(crop.width, crop.height);
+        ctx.drawImage(source, crop.x, crop.y, crop.width, crop.height, 0, 0, crop.width, crop.height);
+        source = canvas;
+      }
+
+      // Flips and quarter turns map pixels 1:1, so the canvas transform is exact
+      if (flipH || flipV || rotate) {
+        const quarter = rotate === 90 || rotate === 270;
+        const w = quarter ? source.height : source.width;
+        const h = quarter ? source.width : source.height;
+        const { canvas, ctx } = this._createWorkCanvas(w, h);
+        ctx.imageSmoothingEnabled = false;
+        ctx.translate(w / 2, h / 2);
+        ctx.rotate((rotate * Math.PI) / 180);
+        ctx.scale(flipH ? -1 : 1, flipV ? -1 : 1);
+        ctx.drawImage(source, -source.width / 2, -source.height / 2);
+        source = canvas;
+      }
+
+      if (freeRotation % 360 !== 0) {
+        source = this._rotateNearest(source, freeRotation);
+      }
+
+      if (source !== this.canvas) {
+        this.canvas.width = source.width;
+        this.canvas.height = source.height;
+        this.ctx.clearRect(0, 0, source.width, source.height);
+        this.ctx.drawImage(source, 0, 0);
+      }
+
+      return this.getPixelData();
+    }
+
+    /**
+     * Rotate by any angle with nearest-neighbour sampling
+     * The canvas grows to fit the rotated image; uncovered corners stay transparent
+     */
+    _rotateNearest(source, degrees) {
+      const srcW = source.width;
+      const srcH = source.height;
+      const src = source.getContext('2d', { willReadFrequently: true }).getImageData(0, 0, srcW, srcH).data;
+      const { width: dstW, height: dstH } = ImageProcessor.getTransformedSize(srcW, srcH, { freeRotation: degrees });
+      const { canvas, ctx } = this._createWorkCanvas(dstW, dstH);
+      const out = ctx.createImageData(dstW, dstH);
+      const dst = out.data;
+
+      // Walk destination pixels and sample the source through the inverse rotation
+      const angle = (degrees * Math.PI) / 180;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      const cxSrc = srcW / 2;
+      const cySrc = srcH / 2;
+      const cxDst = dstW / 2;
+      const cyDst = dstH / 2;
+
+      for (let y = 0; y < dstH; y++) {
+        const dy = y + 0.5 - cyDst;
+        for (let x = 0; x < dstW; x++) {
+          const dx = x + 0.5 - cxDst;
+          const sx = Math.floor(dx * cos + dy * sin + cxSrc);
+          const sy = Math.floor(-dx * sin + dy * cos + cySrc);
+          if (sx < 0 || sy < 0 || sx >= srcW || sy >= srcH) continue;
+          const si = (sy * srcW + sx) * 4;
+          const di = (y * dstW + x) * 4;
+          dst[di] = src[si];
+          dst[di + 1] = src[si + 1];
+          dst[di + 2] = src[si + 2];
+          dst[di + 3] = src[si + 3];
+        }
+      }
+
+      ctx.putImageData(out, 0, 0);
+      return canvas;
+    }
+
     // ============================================================
     // COLOR SPACE CONVERSIONS
     // ============================================================
@@ -709,23 +1030,95 @@
      * Find closest palette color using specified algorithm
      * @param {number} r,g,b - Input color
      * @param {Array} palette - [[r,g,b], ...] or [{r,g,b}, ...]
-     * @param {string} algorithm - 'rgb', 'lab', 'oklab', 'hsv'
+     * @param {string} algorithm - 'rgb', 'lab', 'cie94', 'ciede2000', 'oklab', 'hsv'
      * @param {Object} options - { enableChromaPenalty, chromaPenaltyWeight }
      */
     findClosestPaletteColor(r, g, b, palette, algorithm = 'lab', options = {}) {
       if (!palette || palette.length === 0) return [0, 0, 0];
 
       const { enableChromaPenalty = false, chromaPenaltyWeight = 0.15 } = options;
+      const prepared = this._preparePalette(palette);
+
+      // Dithering feeds fractional values; round so results can be cached
+      r = Math.max(0, Math.min(255, Math.round(r)));
+      g = Math.max(0, Math.min(255, Math.round(g)));
+      b = Math.max(0, Math.min(255, Math.round(b)));
+
+      const penaltyWeight = enableChromaPenalty ? chromaPenaltyWeight : 0;
+      const cacheKey = `${algorithm}|${penaltyWeight}`;
+      let cache = prepared.matches.get(cacheKey);
+      if (!cache) {
+        cache = new Map();
+        prepared.matches.set(cacheKey, cache);
+      }
 
-      // Normalize palette format
-      const normPalette = palette.map(c => 
-        Array.isArray(c) ? c : [c.r, c.g, c.b]
-      );
+      const key = (r << 16) | (g << 8) | b;
+      const cached = cache.get(key);
+      if (cached) return cached;
+
+      const best = prepared.rgb[this._findClosestIndex(r, g, b, prepared, algorithm, penaltyWeight)];
+      if (cache.size >= this.COLOR_CACHE_LIMIT) cache.clear();
+      cache.set(key, best);
+      return best;
+    }
+
+    /**
+     * CIE Lab value of a color (cached)
+     * @returns {number[]} - [L, a, b]
+     */
+    rgbToLab(r, g, b) {
+      return this._getLab(r, g, b);
+    }
+
+    /**
+     * CIE Lab values of a palette, in palette order (cached per palette array)
+     * @param {Array} palette - [[r,g,b], ...] or [{r,g,b}, ...]
+     * @returns {Array} - [[L, a, b], ...]
+     */
+    paletteToLab(palette) {
+      return this._preparePalette(palette).lab;
+    }
+
+    /**
+     * Normalize a palette and precompute its Lab values
+     * Cached per palette array so per-pixel calls don't redo the conversion
+     * @private
+     */
+    _preparePalette(palette) {
+      let prepared = this._paletteCache.get(palette);
+      // Palettes can grow in place (e.g. newly learned draft colors)
+      if (prepared && prepared.size === palette.length) return prepared;
+
+      const rgb = palette.map(c => {
+        if (Array.isArray(c)) return c;
+        if (c.rgb) return c.rgb;
+        return [c.r, c.g, c.b];
+      });
+
+      prepared = {
+        size: palette.length,
+        rgb,
+        lab: rgb.map(([pr, pg, pb]) => this._getLab(pr, pg, pb)),
+        oklab: null,
+        hsv: null,
+        matches: new Map()
+      };
+      this._paletteCache.set(palette, prepared);
+      return prepared;
+    }
+
+    /**
+     * Index of the closest color in a prepared palette
+     * @private
+     */
+    _findClosestIndex(r, g, b, prepared, algorithm, penaltyWeight = 0) {
+      const { rgb } = prepared;
+      let bestIdx = 0, bestDist = Infinity;
 
       // RGB (Legacy weighted euclidean)
       if (algorithm === 'rgb') {
-        let best = [0, 0, 0], bestDist = Infinity;
-        for (const [pr, pg, pb] of normPalette) {
+        for (let i = 0; i < rgb.length; i++) {
+          const [pr, pg, pb] = rgb[i];
           const rmean = (pr + r) / 2;
           const rdiff = pr - r, gdiff = pg - g, bdiff = pb - b;
           const dist = Math.sqrt(
@@ -733,57 +1126,150 @@
             4 * gdiff * gdiff +
             (((767 - rmean) * bdiff * bdiff) >> 8)
           );
-          if (dist < bestDist) { bestDist = dist; best = [pr, pg, pb]; }
+          if (dist < bestDist) { bestDist = dist; bestIdx = i; }
         }
-        return best;
+        return bestIdx;
       }
 
       // HSV
       if (algorithm === 'hsv') {
+        if (!prepared.hsv) prepared.hsv = rgb.map(([pr, pg, pb]) => this._rgbToHsv(pr, pg, pb));
         const [ht, st, vt] = this._rgbToHsv(r, g, b);
-        let best = null, bestDist = Infinity;
-        for (const [pr, pg, pb] of normPalette) {
-          const [hp, sp, vp] = this._rgbToHsv(pr, pg, pb);
+        for (let i = 0; i < rgb.length; i++) {
+          const [hp, sp, vp] = prepared.hsv[i];
           const dh = Math.min(Math.abs(ht - hp), 360 - Math.abs(ht - hp)) / 360;
           const dist = dh * dh + (st - sp) ** 2 + (vt - vp) ** 2;
-          if (dist < bestDist) { bestDist = dist; best = [pr, pg, pb]; }
+          if (dist < bestDist) { bestDist = dist; bestIdx = i; }
         }
-        return best || [0, 0, 0];
+        return bestIdx;
       }
 
       // OKLAB
       if (algorithm === 'oklab') {
+        if (!prepared.oklab) prepared.oklab = rgb.map(([pr, pg, pb]) => this._rgbToOklab(pr, pg, pb));
         const [lt, at, bt] = this._rgbToOklab(r, g, b);
-        let best = null, bestDist = Infinity;
-        for (const [pr, pg, pb] of normPalette) {
-          const [lp, ap, bp] = this._rgbToOklab(pr, pg, pb);
+        for (let i = 0; i < rgb.length; i++) {
+          const [lp, ap, bp] = prepared.oklab[i];
           const dist = (lt - lp) ** 2 + (at - ap) ** 2 + (bt - bp) ** 2;
-          if (dist < bestDist) { bestDist = dist; best = [pr, pg, pb]; }
+          if (dist < bestDist) { bestDist = dist; bestIdx = i; }
+        }
+        return bestIdx;
+      }
+
+      const target = this._getLab(r, g, b);
+
+      // CIE94 / CIEDE2000 (weighted Lab differences)
+      if (algorithm === 'cie94' || algorithm === 'ciede2000') {
+        const deltaE = algorithm === 'cie94' ? this._deltaE94 : this._deltaE2000;
+        for (let i = 0; i < rgb.length; i++) {
+          const dist = deltaE.call(this, target, prepared.lab[i]);
+          if (dist < bestDist) { bestDist = dist; bestIdx = i; }
         }
-        return best || [0, 0, 0];
+        return bestIdx;
       }
 
-      // LAB (default - best for human perception)
-      const [Lt, at, bt] = this._getLab(r, g, b);
+      // LAB (default - CIE76)
+      const [Lt, at, bt] = target;
       const targetChroma = Math.sqrt(at * at + bt * bt);
-      let best = null, bestDist = Infinity;
 
-      for (const [pr, pg, pb] of normPalette) {
-        const [Lp, ap, bp] = this._getLab(pr, pg, pb);
+      for (let i = 0; i < rgb.length; i++) {
+        const [Lp, ap, bp] = prepared.lab[i];
         let dist = (Lt - Lp) ** 2 + (at - ap) ** 2 + (bt - bp) ** 2;
 
         // Chroma penalty for saturated colors
-        if (enableChromaPenalty && targetChroma > 20) {
+        if (penaltyWeight > 0 && targetChroma > 20) {
           const candChroma = Math.sqrt(ap * ap + bp * bp);
           if (candChroma < targetChroma) {
-            dist += (targetChroma - candChroma) ** 2 * chromaPenaltyWeight;
+            dist += (targetChroma - candChroma) ** 2 * penaltyWeight;
           }
         }
 
-        if (dist < bestDist) { bestDist = dist; best = [pr, pg, pb]; }
+        if (dist < bestDist) { bestDist = dist; bestIdx = i; }
+      }
+
+      return bestIdx;
+    }
+
+    /**
+     * CIE94 color difference (graphic arts weights)
+     * lab1 is the reference color
+     */
+    _deltaE94(lab1, lab2) {
+      const [L1, a1, b1] = lab1;
+      const [L2, a2, b2] = lab2;
+      const C1 = Math.sqrt(a1 * a1 + b1 * b1);
+      const C2 = Math.sqrt(a2 * a2 + b2 * b2);
+      const dL = L1 - L2;
+      const dC = C1 - C2;
+      const da = a1 - a2;
+      const db = b1 - b2;
+      const dH2 = Math.max(0, da * da + db * db - dC * dC);
+      const SC = 1 + 0.045 * C1;
+      const SH = 1 + 0.015 * C1;
+      return Math.sqrt(dL * dL + (dC / SC) ** 2 + dH2 / (SH * SH));
+    }
+
+    /**
+     * CIEDE2000 color difference
+     */
+    _deltaE2000(lab1, lab2) {
+      const [L1, a1, b1] = lab1;
+      const [L2, a2, b2] = lab2;
+      const rad = Math.PI / 180;
+      const POW25_7 = 6103515625; // 25^7
+
+      const C1 = Math.sqrt(a1 * a1 + b1 * b1);
+      const C2 = Math.sqrt(a2 * a2 + b2 * b2);
+      const Cbar7 = ((C1 + C2) / 2) ** 7;
+      const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + POW25_7)));
+
+      const a1p = (1 + G) * a1;
+      const a2p = (1 + G) * a2;
+      const C1p = Math.sqrt(a1p * a1p + b1 * b1);
+      const C2p = Math.sqrt(a2p * a2p + b2 * b2);
+      const h1p = (b1 === 0 && a1p === 0) ? 0 : (Math.atan2(b1, a1p) / rad + 360) % 360;
+      const h2p = (b2 === 0 && a2p === 0) ? 0 : (Math.atan2(b2, a2p) / rad + 360) % 360;
+
+      const dLp = L2 - L1;
+      const dCp = C2p - C1p;
+      const chromaProduct = C1p * C2p;
+
+      let dhp = 0;
+      if (chromaProduct !== 0) {
+        dhp = h2p - h1p;
+        if (dhp > 180) dhp -= 360;
+        else if (dhp < -180) dhp += 360;
+      }
+      const dHp = 2 * Math.sqrt(chromaProduct) * Math.sin(dhp * rad / 2);
+
+      const Lbarp = (L1 + L2) / 2;
+      const Cbarp = (C1p + C2p) / 2;
+      let hbarp = h1p + h2p;
+      if (chromaProduct !== 0) {
+        if (Math.abs(h1p - h2p) <= 180) hbarp /= 2;
+        else if (hbarp < 360) hbarp = (hbarp + 360) / 2;
+        else hbarp = (hbarp - 360) / 2;
       }
 
-      return best || [0, 0, 0];
+      const T = 1
+        - 0.17 * Math.cos((hbarp - 30) * rad)
+        + 0.24 * Math.cos(2 * hbarp * rad)
+        + 0.32 * Math.cos((3 * hbarp + 6) * rad)
+        - 0.20 * Math.cos((4 * hbarp - 63) * rad);
+
+      const dTheta = 30 * Math.exp(-(((hbarp - 275) / 25) ** 2));
+      const Cbarp7 = Cbarp ** 7;
+      const RC = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + POW25_7));
+      const Lm50 = (Lbarp - 50) ** 2;
+      const SL = 1 + (0.015 * Lm50) / Math.sqrt(20 + Lm50);
+      const SC = 1 + 0.045 * Cbarp;
+      const SH = 1 + 0.015 * Cbarp * T;
+      const RT = -Math.sin(2 * dTheta * rad) * RC;
+
+      const tL = dLp / SL;
+      const tC = dCp / SC;
+      const tH = dHp / SH;
+      return Math.sqrt(tL * tL + tC * tC + tH * tH + RT * tC * tH);
     }
 
     /**
@@ -795,6 +1281,7 @@
 
     /**
      * Resolve target RGB to closest available color with caching
+     * algorithm: 'legacy', 'lab', 'cie94', 'ciede2000', 'oklab' or 'hsv'
      */
     resolveColor(targetRgb, availableColors, options = {}) {
       const {
@@ -842,60 +1329,15 @@
       }
 
       // Find nearest color
-      let bestId = availableColors[0].id;
-      let bestRgb = [...availableColors[0].rgb];
-      let bestScore = Infinity;
-
-      if (algorithm === 'legacy') {
-        for (let i = 0; i < availableColors.length; i++) {
-          const c = availableColors[i];
-          const [r, g, b] = c.rgb;
-          const rmean = (r + targetRgb[0]) / 2;
-          const rdiff = r - targetRgb[0];
-          const gdiff = g - targetRgb[1];
-          const bdiff = b - targetRgb[2];
-          const dist = Math.sqrt(
-            (((512 + rmean) * rdiff * rdiff) >> 8) +
-            4 * gdiff * gdiff +
-            (((767 - rmean) * bdiff * bdiff) >> 8)
-          );
-          if (dist < bestScore) {
-            bestScore = dist;
-            bestId = c.id;
-            bestRgb = [...c.rgb];
-            if (dist === 0) break;
-          }
-        }
-      } else {
-        const [Lt, at, bt] = this._getLab(targetRgb[0], targetRgb[1], targetRgb[2]);
-        const targetChroma = Math.sqrt(at * at + bt * bt);
-        const penaltyWeight = enableChromaPenalty ? chromaPenaltyWeight : 0;
-
-        for (let i = 0; i < availableColors.length; i++) {
-          const c = availableColors[i];
-          const [r, g, b] = c.rgb;
-          const [L2, a2, b2] = this._getLab(r, g, b);
-          const dL = Lt - L2;
-          const da = at - a2;
-          const db = bt - b2;
-          let dist = dL * dL + da * da + db * db;
-
-          if (penaltyWeight > 0 && targetChroma > 20) {
-            const candChroma = Math.sqrt(a2 * a2 + b2 * b2);
-            if (candChroma < targetChroma) {
-              const cd = targetChroma - candChroma;
-              dist += cd * cd * penaltyWeight;
-            }
-          }
-
-          if (dist < bestScore) {
-            bestScore = dist;
-            bestId = c.id;
-            bestRgb = [...c.rgb];
-            if (dist === 0) break;
-          }
-        }
-      }
+      const prepared = this._preparePalette(availableColors);
+      const bestIdx = this._findClosestIndex(
+        targetRgb[0], targetRgb[1], targetRgb[2],
+        prepared,
+        algorithm === 'legacy' ? 'rgb' : algorithm,
+        enableChromaPenalty ? chromaPenaltyWeight : 0
+      );
+      const bestId = availableColors[bestIdx].id;
+      const bestRgb = [...availableColors[bestIdx].rgb];
 
       const result = { id: bestId, rgb: bestRgb };
       this._colorCache.set(cacheKey, result);
@@ -2153,16 +2595,113 @@
       this.setPixelData(result);
     }
 
+    /**
+     * Pick the palette colors that best represent the current image
+     * k-medoids in Lab on a 5-bit color histogram: greedily add the color that
+     * removes the most error, then alternate assigning colors to their nearest
+     * pick and moving each pick to its cluster's best palette color.
+     * @param {Array} palette - Array of color objects with {id, r, g, b}
+     * @param {number} maxColors - How many colors to keep
+     * @param {number} transparencyThreshold - Pixels below this alpha don't count
+     * @returns {Array} - Subset of palette, in palette order
+     */
+    reducePalette(palette, maxColors, transparencyThreshold = this.TRANSPARENCY_THRESHOLD) {
+      if (!this.ctx) throw new Error('Image not loaded');
+      if (!maxColors || maxColors <= 0 || palette.length <= maxColors) return palette;
+
+      const data = this.getPixelData();
+      const bins = new Map(); // rrrrrgggggbbbbb -> pixel count
+      for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] < transparencyThreshold) continue;
+        const key = ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+        bins.set(key, (bins.get(key) || 0) + 1);
+      }
+      if (bins.size === 0) return palette;
+
+      // dist[c * P + p]: ΔE between histogram bin c (at its center) and palette color p
+      const prepared = this._preparePalette(palette);
+      const P = palette.length;
+      const n = bins.size;
+      const weights = new Float64Array(n);
+      const dist = new Float32Array(n * P);
+      let c = 0;
+      for (const [key, count] of bins) {
+        const [L, A, B] = this._getLab(((key >> 10) << 3) + 4, (((key >> 5) & 31) << 3) + 4, ((key & 31) << 3) + 4);
+        for (let p = 0; p < P; p++) {
+          const [pl, pa, pb] = prepared.lab[p];
+          dist[c * P + p] = Math.sqrt((L - pl) ** 2 + (A - pa) ** 2 + (B - pb) ** 2);
+        }
+        weights[c++] = count;
+      }
+
+      // Greedy start
+      const picks = [];
+      const best = new Float64Array(n).fill(1000); // Above any Lab ΔE
+      while (picks.length < maxColors) {
+        let bestPick = -1, bestGain = -1;
+        for (let p = 0; p < P; p++) {
+          if (picks.includes(p)) continue;
+          let gain = 0;
+          for (let i = 0; i < n; i++) {
+            const d = dist[i * P + p];
+            if (d < best[i]) gain += (best[i] - d) * weights[i];
+          }
+          if (gain > bestGain) {
+            bestGain = gain;
+            bestPick = p;
+          }
+        }
+        picks.push(bestPick);
+        for (let i = 0; i < n; i++) best[i] = Math.min(best[i], dist[i * P + bestPick]);
+      }
+
+      // Refine: each pick becomes the palette color that serves its cluster best
+      for (let iteration = 0; iteration < 20; iteration++) {
+        const clusters = picks.map(() => []);
+        for (let i = 0; i < n; i++) {
+          let nearest = 0;
+          for (let k = 1; k < picks.length; k++) {
+            if (dist[i * P + picks[k]] < dist[i * P + picks[nearest]]) nearest = k;
+          }
+          clusters[nearest].push(i);
+        }
+
+        let changed = false;
+        for (let k = 0; k < picks.length; k++) {
+          const costOf = (p) => clusters[k].reduce((sum, i) => sum + dist[i * P + p] * weights[i], 0);
+          let bestColor = picks[k], bestCost = costOf(picks[k]);
+          for (let p = 0; p < P; p++) {
+            if (picks.includes(p)) continue;
+            const cost = costOf(p);
+            if (cost < bestCost - 1e-6) {
+              bestCost = cost;
+              bestColor = p;
+            }
+          }
+          if (bestColor !== picks[k]) {
+            picks[k] = bestColor;
+            changed = true;
+          }
+        }
+        if (!changed) break;
+      }
+
+      const keep = new Set(picks);
+      return palette.filter((_, p) => keep.has(p));
+    }
+
     /**
      * Quantize image to palette without dithering
      * @param {Array} palette - Array of color objects with {id, r, g, b}
-     * @param {string} colorSpace - Color matching algorithm
+     * @param {string} colorSpace - Color matching algorithm ('lab', 'cie94', 'ciede2000', 'oklab', 'rgb', 'hsv')
      */
     quantize(palette, colorSpace = 'lab', options = {}) {
       if (!this.ctx) throw new Error('Image not loaded');
       const imageData = this.getPixelData();
       const result = this.applySimpleQuantization(imageData, this.canvas.width, this.canvas.height, palette, {
         algorithm: colorSpace,
+        enableChromaPenalty: options.enableChromaPenalty || false,
+        chromaPenaltyWeight: options.chromaPenaltyWeight !== undefined ? options.chromaPenaltyWeight : 0.15,
         paintTransparentPixels: options.paintTransparentPixels || false,
         paintWhitePixels: options.paintWhitePixels !== undefined ? options.paintWhitePixels : true,
         transparencyThreshold: options.transparencyThreshold || 128
@@ -2175,7 +2714,7 @@
      * @param {string} method - Dithering algorithm name
      * @param {Array} palette - Color palette array
      * @param {number} strength - Dithering strength (0-1)
-     * @param {string} colorSpace - Color matching algorithm
+     * @param {string} colorSpace - Color matching algorithm ('lab', 'cie94', 'ciede2000', 'oklab', 'rgb', 'hsv')
      */
     dither(method = 'floyd-steinberg', palette, strength = 0.5, colorSpace = 'lab', options = {}) {
       if (!this.ctx) throw new Error('Image not loaded');
@@ -2204,6 +2743,8 @@
         method: internalMethod,
         strength: strength,
         algorithm: colorSpace,
+        enableChromaPenalty: options.enableChromaPenalty || false,
+        chromaPenaltyWeight: options.chromaPenaltyWeight !== undefined ? options.chromaPenaltyWeight : 0.15,
         paintTransparentPixels: options.paintTransparentPixels || false,
         paintWhitePixels: options.paintWhitePixels !== undefined ? options.paintWhitePixels : true,
         transparencyThreshold: options.transparencyThreshold || 128
@@ -2215,6 +2756,111 @@
       }
     }
 
+    // ============================================================
+    // PIPELINE
+    // ============================================================
+
+    /**
+     * Run the full processing pipeline on the loaded image
+     * Order: crop/flip/rotate → color correction → blur → sharpen → resize → edges →
+     * post-processing → color reduction → dither/quantize
+     * @param {Object} settings - Processing panel settings
+     * @param {Array|null} palette - Target palette, null to stop before dither/quantize
+     * @param {Function} onProgress - Called with (stageName, fraction) before each stage
+     */
+    runPipeline(settings, palette, onProgress = () => {}) {
+      if (!this.ctx) throw new Error('Image not loaded');
+      const s = settings;
+      const stages = [];
+
+      if (s.crop || s.flipH || s.flipV || s.rotate || s.freeRotation) {
+        stages.push(['Transform', () => this.transform({
+          crop: s.crop,
+          flipH: s.flipH,
+          flipV: s.flipV,
+          rotate: s.rotate,
+          freeRotation: s.freeRotation
+        })]);
+      }
+
+      if (s.brightness !== 0 || s.contrast !== 0 || s.saturation !== 0 || s.hue !== 0 || s.gamma !== 100) {
+        stages.push(['Color correction', () => this.adjustColors({
+          brightness: s.brightness,
+          contrast: s.contrast,
+          saturation: s.saturation,
+          hue: s.hue,
+          gamma: s.gamma / 100
+        })]);
+      }
+      if (s.blur > 0 && s.blurMode && s.blurMode !== 'none') {
+        stages.push(['Blur', () => this.blur(s.blurMode, s.blur)]);
+      }
+      if (s.sharpen > 0) {
+        stages.push(['Sharpen', () => this.sharpen(s.sharpen / 100)]);
+      }
+
+      stages.push(['Resize', () => this.resize(s.width, s.height, s.resamplingMethod || 'nearest')]);
+
+      if (s.edgeThickness > 0) {
+        stages.push(['Edges', () => this.edgeOverlay(
+          s.edgeAlgorithm || 'sobel',
+          s.edgeThreshold || 60,
+          s.edgeThickness,
+          s.edgeThin || false
+        )]);
+      }
+      if (s.posterize < 32) {
+        stages.push(['Posterize', () => this.posterize(s.posterize)]);
+      }
+      if (s.modeFilter > 0) {
+        stages.push(['Mode filter', () => this.modeFilter(s.modeFilter)]);
+      }
+      if (s.simplify > 0) {
+        stages.push(['Simplify', () => this.simplify(s.simplify)]);
+      }
+      if (s.erode > 0) {
+        stages.push(['Erode', () => this.erode(s.erode)]);
+      }
+
+      const transparencyOptions = {
+        paintTransparentPixels: s.paintTransparent || false,
+        paintWhitePixels: s.paintWhite !== false,
+        transparencyThreshold: s.transparencyThreshold || 128,
+        whiteThreshold: s.whiteThreshold || 230
+      };
+
+      // Picked once the image is final, so the subset fits what will be quantized
+      let stagePalette = palette;
+      if (palette && s.maxColors > 0) {
+        stages.push(['Reducing colors', () => {
+          stagePalette = this.reducePalette(palette, s.maxColors, transparencyOptions.transparencyThreshold);
+        }]);
+      }
+
+      // Without a palette the result keeps its unquantized colors
+      if (palette && s.ditheringEnabled) {
+        stages.push(['Dithering', () => this.dither(
+          s.ditheringMethod,
+          stagePalette,
+          s.ditheringStrength,
+          s.colorMatchingMethod || 'lab',
+          transparencyOptions
+        )]);
+      } else if (palette) {
+        stages.push(['Quantizing', () => this.quantize(
+          stagePalette,
+          s.colorMatchingMethod || 'lab',
+          transparencyOptions
+        )]);
+      }
+
+      stages.forEach(([name, run], i) => {
+        onProgress(name, i / stages.length);
+        run();
+      });
+      onProgress('Done', 1);
+    }
+
     // ============================================================
     // UTILITY
     // ============================================================
@@ -2225,6 +2871,7 @@
     clearCaches() {
       this._colorCache.clear();
       this._labCache.clear();
+      this._paletteCache = new WeakMap();
       this._ditherWorkBuf = null;
       this._ditherEligibleBuf = null;
     }
@@ -2265,8 +2912,38 @@
     }
   }
 
-  // Export to window
-  window.PatPlacerImageProcessor = ImageProcessor;
+  // Export to window (or the worker global scope)
+  const isWorkerScope = typeof window === 'undefined' && typeof importScripts === 'function';
+  (isWorkerScope ? self : window).PatPlacerImageProcessor = ImageProcessor;
+
+  // ============================================================
+  // WORKER ENTRY
+  // ============================================================
+  // patplacer-main.js also loads this file as a Blob worker so the
+  // pipeline runs off the page thread. Jobs: { type: 'process', jobId,
+  // bitmap, settings, palette } → progress messages, then result or error
+  if (isWorkerScope) {
+    const workerProcessor = new ImageProcessor();
+
+    self.onmessage = async (event) => {
+      const { type, jobId, bitmap, settings, palette } = event.data || {};
+      if (type !== 'process') return;
+
+      try {
+        await workerProcessor.loadFromBitmap(bitmap);
+        bitmap.close();
+        workerProcessor.runPipeline(settings, palette, (stage, progress) => {
+          self.postMessage({ type: 'progress', jobId, stage, progress });
+        });
+        const imageData = workerProcessor.getImageData();
+        self.postMessage({ type: 'result', jobId, imageData }, [imageData.data.buffer]);
+      } catch (error) {
+        self.postMessage({ type: 'error', jobId, message: error.message });
+      }
+    };
+    return;
+  }
+
   console.log('[PatPlacer] ImageProcessor module loaded');
 
 })();
@@ -23,7 +23,14 @@
   // ============================================================
   const CONFIG = {
     TILE_SIZE: 1000,
+    MAP_TILES: 2048, // Tiles per side of the wplace map
+    MAP_LINK_ZOOM: 15, // Zoom level for generated wplace links
     DEFAULT_OPACITY: 1.0,
+    DAMAGE_HISTORY_LIMIT: 200,
+    HIGHLIGHT_COLOR: { r: 255, g: 0, b: 255 }, // Damaged / wrong pixel markers
+    OVERLAY_SUPERSAMPLE: 3, // Overlay cells per canvas pixel for non-fill styles
+    EMBED_ORIGINAL_MAX_BYTES: 8 * 1024 * 1024, // Larger source images aren't stored in projects
+    SHARE_MAX_LENGTH: 20000, // Longer share strings don't paste well into chat
     PANEL_ID: 'patplacer-panel',
     // WPlace color palette (will be extracted from page)
     COLOR_PALETTE: [],
@@ -51,6 +58,13 @@
   
   // Processing settings state
   const processingSettings = {
+    // Crop & Orient (applied to the original before anything else)
+    crop: null,            // {x, y, width, height} in original image pixels, null = whole image
+    flipH: false,
+    flipV: false,
+    rotate: 0,             // 0 | 90 | 180 | 270
+    freeRotation: 0,       // Degrees, nearest-neighbour
+    
     // Resize
     width: 100,
     height: 100,
@@ -59,6 +73,7 @@
     
     // Color Matching
     colorMatchingMethod: 'lab',
+    excludedColors: [],    // wplace color ids this project leaves out
     
     // Dithering
     ditheringEnabled: false,
@@ -93,16 +108,42 @@
     posterize: 32,
     modeFilter: 0,
     simplify: 0,
-    erode: 0
+    erode: 0,
+
+    // Palette
+    maxColors: 0           // keep only the best N palette colors (0 = all)
   };
 
+  // Set when a loaded project restored its settings, so opening the panel keeps its size
+  let processingSizeRestored = false;
+  
+  // Settings a new template starts from (copied before anything changes them)
+  const DEFAULT_PROCESSING_SETTINGS = copyProcessingSettings();
+  
+  /**
+   * Plain copy of processing settings (crop included) for saving or template snapshots
+   */
+  function copyProcessingSettings(source = processingSettings) {
+    return {
+      ...source,
+      crop: source.crop ? { ...source.crop } : null,
+      excludedColors: [...(source.excludedColors || [])]
+    };
+  }
+
   // Reset processing settings to defaults
   function resetProcessingSettings(imgWidth, imgHeight) {
+    processingSettings.crop = null;
+    processingSettings.flipH = false;
+    processingSettings.flipV = false;
+    processingSettings.rotate = 0;
+    processingSettings.freeRotation = 0;
     processingSettings.width = imgWidth || 100;
     processingSettings.height = imgHeight || 100;
     processingSettings.lockAspect = true;
     processingSettings.resamplingMethod = 'nearest';
     processingSettings.colorMatchingMethod = 'lab';
+    processingSettings.excludedColors = [];
     processingSettings.ditheringEnabled = false;
     processingSettings.ditheringMethod = 'floyd-steinberg';
     processingSettings.ditheringStrength = 0.5;
@@ -126,6 +167,7 @@
     processingSettings.modeFilter = 0;
     processingSettings.simplify = 0;
     processingSettings.erode = 0;
+    processingSettings.maxColors = 0;
     
     // Update UI if panel exists
     updateProcessingPanelUI();
@@ -136,6 +178,9 @@
     const panel = document.getElementById('patplacer-processing-panel');
     if (!panel) return;
 
+    // Crop & Orient
+    updateTransformControls();
+
     // Resize
     const widthInput = panel.querySelector('#pp-resize-width');
     const heightInput = panel.querySelector('#pp-resize-height');
@@ -149,6 +194,7 @@
     // Color Matching
     const colorMatchSelect = panel.querySelector('#pp-color-match');
     if (colorMatchSelect) colorMatchSelect.value = processingSettings.colorMatchingMethod;
+    updatePaletteToggles();
 
     // Dithering
     const ditherToggle = panel.querySelector('#pp-dither-toggle');
@@ -219,6 +265,14 @@
       const label = panel.querySelector('[data-for="pp-gamma"]');
       if (label) label.textContent = (processingSettings.gamma / 100).toFixed(2);
     }
+    const colorCorrectionToggle = panel.querySelector('#pp-color-correction-toggle');
+    const colorCorrectionControls = panel.querySelector('#pp-color-correction-controls');
+    const colorCorrected = processingSettings.brightness !== 0 || processingSettings.contrast !== 0 ||
+      processingSettings.saturation !== 0 || processingSettings.hue !== 0 || processingSettings.gamma !== 100;
+    if (colorCorrectionToggle && colorCorrected) colorCorrectionToggle.checked = true;
+    if (colorCorrectionControls && colorCorrectionToggle) {
+      colorCorrectionControls.style.display = colorCorrectionToggle.checked ? 'block' : 'none';
+    }
 
     // Edge Detection
     const edgeEnable = panel.querySelector('#pp-edge-enable');
@@ -278,6 +332,274 @@
       const label = panel.querySelector('[data-for="pp-erode"]');
       if (label) label.textContent = processingSettings.erode;
     }
+
+    // Palette
+    const maxColors = panel.querySelector('#pp-max-colors');
+    if (maxColors) {
+      maxColors.value = processingSettings.maxColors;
+      const label = panel.querySelector('[data-for="pp-max-colors"]');
+      if (label) label.textContent = processingSettings.maxColors || 'All';
+    }
+  }
+
+  // Render the processing panel's palette swatches with the project's exclusions
+  function updatePaletteToggles() {
+    const container = document.getElementById('pp-palette-toggles');
+    if (!container) return;
+    
+    const excluded = processingSettings.excludedColors;
+    const colors = CONFIG.COLOR_PALETTE.filter(c => c.id !== 0);
+    container.innerHTML = colors.map(c => {
+      const off = excluded.includes(c.id);
+      return `<button class="pp-palette-toggle${off ? ' pp-palette-toggle-off' : ''}" data-color-id="${c.id}"
+        style="background: ${c.hex}" title="${c.hex.toUpperCase()} #${c.id}${off ? ' (excluded)' : ''}"></button>`;
+    }).join('');
+    
+    const countEl = document.getElementById('pp-palette-count');
+    if (countEl) {
+      const used = colors.filter(c => !excluded.includes(c.id)).length;
+      countEl.textContent = `${used}/${colors.length}`;
+    }
+  }
+
+  // ============================================================
+  // PROCESSING PRESETS
+  // ============================================================
+  // Named combinations of processing settings. Presets never touch the
+  // output size or crop/orientation - those belong to the image - nor the
+  // project's excluded colors.
+  const PatPlacerPresets = {
+    STORAGE_KEY: 'patplacer_presets',
+    
+    // Settings a preset carries
+    FIELDS: [
+      'resamplingMethod', 'colorMatchingMethod',
+      'ditheringEnabled', 'ditheringMethod', 'ditheringStrength',
+      'blur', 'blurMode', 'sharpen',
+      'brightness', 'contrast', 'saturation', 'hue', 'gamma',
+      'edgeAlgorithm', 'edgeThreshold', 'edgeThickness', 'edgeThin',
+      'paintTransparent', 'paintWhite', 'transparencyThreshold', 'whiteThreshold',
+      'posterize', 'modeFilter', 'simplify', 'erode', 'maxColors'
+    ],
+    
+    // keepSize: process at the (cropped) source size instead of the current width/height
+    BUILT_IN: [
+      {
+        name: 'Default',
+        settings: {}
+      },
+      {
+        name: 'Photo',
+        settings: {
+          resamplingMethod: 'box',
+          colorMatchingMethod: 'ciede2000',
+          ditheringEnabled: true,
+          ditheringMethod: 'floyd-steinberg',
+          ditheringStrength: 0.5,
+          sharpen: 20,
+          saturation: 10
+        }
+      },
+      {
+        name: 'Logo',
+        settings: {
+          resamplingMethod: 'dominant',
+          colorMatchingMethod: 'lab',
+          posterize: 16,
+          modeFilter: 3,
+          simplify: 20
+        }
+      },
+      {
+        name: 'Pixel art 1:1',
+        keepSize: true,
+        settings: {
+          resamplingMethod: 'nearest',
+          colorMatchingMethod: 'oklab'
+        }
+      },
+      {
+        name: 'Anime',
+        settings: {
+          resamplingMethod: 'mitchell',
+          colorMatchingMethod: 'oklab',
+          saturation: 15,
+          contrast: 10,
+          edgeAlgorithm: 'sobel',
+          edgeThreshold: 90,
+          edgeThickness: 1,
+          simplify: 10
+        }
+      }
+    ],
+    
+    /**
+     * User presets saved in this browser
+     * @returns {Array} - [{name, keepSize, settings}]
+     */
+    getUserPresets() {
+      try {
+        const presets = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '[]');
+        return Array.isArray(presets) ? presets.filter(p => p && typeof p.name === 'string') : [];
+      } catch (e) {
+        console.warn('[PatPlacer] Could not read presets:', e);
+        return [];
+      }
+    },
+    
+    _saveUserPresets(presets) {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(presets));
+    },
+    
+    /**
+     * Find a preset by its select value ("builtin:Name" or "user:Name")
+     */
+    find(key) {
+      const [source, ...rest] = (key || '').split(':');
+      const name = rest.join(':');
+      const list = source === 'builtin' ? this.BUILT_IN : source === 'user' ? this.getUserPresets() : [];
+      return list.find(p => p.name === name) || null;
+    },
+    
+    // Copy the preset fields out of processingSettings
+    capture() {
+      const settings = {};
+      for (const field of this.FIELDS) settings[field] = processingSettings[field];
+      return settings;
+    },
+    
+    /**
+     * Apply a preset on top of the defaults
+     * Keeps the output size (unless keepSize) and crop/orientation
+     */
+    apply(preset) {
+      const { width, height, lockAspect, excludedColors } = processingSettings;
+      const transform = {
+        crop: processingSettings.crop,
+        flipH: processingSettings.flipH,
+        flipV: processingSettings.flipV,
+        rotate: processingSettings.rotate,
+        freeRotation: processingSettings.freeRotation
+      };
+      
+      resetProcessingSettings(width, height);
+      Object.assign(processingSettings, transform, { lockAspect, excludedColors });
+      for (const field of this.FIELDS) {
+        if (preset.settings[field] !== undefined) processingSettings[field] = preset.settings[field];
+      }
+      if (preset.keepSize && state.originalBitmap) {
+        const source = getProcessingSourceSize();
+        processingSettings.width = source.width;
+        processingSettings.height = source.height;
+      }
+      
+      updateProcessingPanelUI();
+      debouncePreview();
+      updateStatus(`Preset "${preset.name}" applied`);
+    },
+    
+    /**
+     * Save the current settings as a user preset (replaces one with the same name)
+     */
+    saveCurrent(name, keepSize = false) {
+      const presets = this.getUserPresets().filter(p => p.name !== name);
+      presets.push({ name, keepSize, settings: this.capture() });
+      presets.sort((a, b) => a.name.localeCompare(b.name));
+      this._saveUserPresets(presets);
+    },
+    
+    remove(name) {
+      this._saveUserPresets(this.getUserPresets().filter(p => p.name !== name));
+    },
+    
+    // Export one preset, or every user preset when none is given
+    exportToFile(preset = null) {
+      const presets = preset ? [preset] : this.getUserPresets();
+      const data = { type: 'patplacer-presets', version: 1, presets };
+      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = preset
+        ? `patplacer-preset-${preset.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.json`
+        : `patplacer-presets-${Date.now()}.json`;
+      a.click();
+      URL.revokeObjectURL(url);
+      updateStatus(`Exported ${presets.length} preset${presets.length === 1 ? '' : 's'}`);
+    },
+    
+    /**
+     * Import presets from a JSON file as user presets
+     * Accepts an export file, an array of presets or a single preset
+     * @returns {Promise<number>} - Presets imported
+     */
+    importFromFile(file) {
+      return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+          try {
+            const data = JSON.parse(e.target.result);
+            const incoming = Array.isArray(data) ? data : Array.isArray(data.presets) ? data.presets : [data];
+            const valid = incoming.filter(p => p && typeof p.name === 'string' && p.name.trim() &&
+              p.settings && typeof p.settings === 'object');
+            if (valid.length === 0) throw new Error('No presets in file');
+            
+            // Built-in names are taken (Save refuses them too), so those get a suffix
+            const nameOf = (preset) => {
+              const name = preset.name.trim();
+              return this.BUILT_IN.some(p => p.name === name) ? `${name} (imported)` : name;
+            };
+            const names = new Set(valid.map(nameOf));
+            const presets = this.getUserPresets().filter(p => !names.has(p.name));
+            for (const preset of valid) {
+              const settings = {};
+              for (const field of this.FIELDS) {
+                const value = preset.settings[field];
+                if (value === undefined) continue;
+                const problem = checkProcessingSetting(field, value);
+                if (problem) {
+                  console.warn(`[PatPlacer] Preset "${preset.name}": skipping ${field} (${problem})`);
+                  continue;
+                }
+                settings[field] = value;
+              }
+              presets.push({ name: nameOf(preset), keepSize: !!preset.keepSize, settings });
+            }
+            presets.sort((a, b) => a.name.localeCompare(b.name));
+            this._saveUserPresets(presets);
+            resolve(valid.length);
+          } catch (err) {
+            reject(err);
+          }
+        };
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+      });
+    }
+  };
+  
+  /**
+   * Fill the preset select in the processing panel
+   * @param {string} selected - Select value to keep selected
+   */
+  function updatePresetSelect(selected = '') {
+    const select = document.getElementById('pp-preset-select');
+    if (!select) return;
+    
+    const userPresets = PatPlacerPresets.getUserPresets();
+    select.innerHTML = `
+      <option value="">Custom</option>
+      <optgroup label="Built-in">
+        ${PatPlacerPresets.BUILT_IN.map(p => `<option value="builtin:${escapeHtml(p.name)}">${escapeHtml(p.name)}</option>`).join('')}
+      </optgroup>
+      ${userPresets.length > 0 ? `<optgroup label="My presets">
+        ${userPresets.map(p => `<option value="user:${escapeHtml(p.name)}">${escapeHtml(p.name)}</option>`).join('')}
+      </optgroup>` : ''}
+    `;
+    select.value = PatPlacerPresets.find(selected) ? selected : '';
+    
+    const deleteBtn = document.getElementById('pp-preset-delete');
+    if (deleteBtn) deleteBtn.disabled = !select.value.startsWith('user:');
   }
 
   // ============================================================
@@ -289,6 +611,7 @@
     // Original image (before processing)
     originalImageLoaded: false,
     originalBitmap: null,
+    originalBlob: null,      // Uploaded file, embedded in saved projects for re-processing
     originalWidth: 0,
     originalHeight: 0,
     
@@ -302,6 +625,10 @@
     // Workflow stage: 'upload' | 'process' | 'ready'
     workflowStage: 'upload',
     
+    // Project library - active project (null = not saved to the library yet)
+    projectId: null,
+    projectName: 'Untitled',
+    
     // Anchor point (from first draft)
     anchorSet: false,
     anchorTile: null,    // {x, y} - tile coordinates
@@ -313,21 +640,48 @@
     // Overlay - Template overlay (shows full image before drafts)
     templateOverlayEnabled: false,
     templateOverlayOpacity: CONFIG.DEFAULT_OPACITY,
+    templateVisible: true,   // Per-template visibility in the template overlay
+    
+    // Templates - several artworks with their own anchor and progress.
+    // The active template's fields live directly in state (see TEMPLATE_FIELDS)
+    templates: [],           // [{id, chunkedTiles, ...TEMPLATE_FIELDS}] - index 0 = highest priority
+    activeTemplateId: null,
+    batchTarget: 'active',   // 'active' | 'all' (highest priority template with work left)
     
     // Overlay - Draft overlay (shows placed drafts after placement)
     draftOverlayEnabled: false,
     draftOverlayOpacity: CONFIG.DEFAULT_OPACITY,
     
+    // Overlay - Guard overlay (highlights damaged pixels while guarding)
+    guardOverlayEnabled: false,
+    
+    // Overlay - Diff overlay (only pixels whose canvas color is wrong, built per tile fetch)
+    diffOverlayEnabled: false,
+    diffMarkers: false,      // Draw wrong pixels as HIGHLIGHT_COLOR instead of their target color
+    
     // Shared overlay settings
+    overlayStyle: 'fill',    // 'fill' | 'dot' | 'symbol' | 'checker' (saved with project)
     chunkedTiles: new Map(),
-    overlayMode: 'template', // 'template' or 'draft'
+    overlayMode: 'template', // 'template', 'draft', 'guard' or 'diff'
+    
+    // Guard mode - repair damage to finished art
+    guardEnabled: false,
+    damageHistory: [],       // [{time, tile, damaged, repaired}] oldest first
     
     // Draft placement - BATCH SYSTEM
     allPixels: [],           // All pixels from template
     placedPixels: [],        // Pixels placed in current batch (for overlay)
-    currentBatchIndex: 0,    // How many pixels already confirmed total
-    pendingBatchCount: 0,    // Pixels in current batch awaiting confirmation
+    pixelStatus: null,       // Uint8Array - PIXEL_STATUS per allPixels entry
+    repairDrafts: new Map(), // allPixels index -> damaged status, for drafted repairs
+    pixelIndex: null,        // {width, height, grid} - template position -> allPixels index
+    placedCount: 0,          // How many pixels confirmed or verified total
     pendingSkippedCount: 0,  // Skipped pixels in current batch (for progress display)
+    
+    // Placement order
+    placementStrategy: 'raster', // See PLACEMENT_STRATEGIES
+    placementSeed: 1,            // Seed for the 'random' strategy (saved with project)
+    placementOrder: null,        // Cached Int32Array of allPixels indices
+    placementOrderKey: null,     // Cache key (strategy + anchor) for placementOrder
     isPlacing: false,
     
     // Charges
@@ -337,6 +691,8 @@
     // Color Palette
     colorsCaptured: false,   // Whether user's available colors have been captured
     availableColors: [],     // Array of available colors from wplace palette
+    lockedColors: [],        // Colors the picker shows as locked (not owned yet)
+    accountId: null,         // wplace user id from /me - keys the saved palette
     
     // Options (hardcoded)
     skipWhite: false,        // Never skip white pixels
@@ -566,6 +922,54 @@
   // ============================================================
   // AVAILABLE COLORS EXTRACTION (from wplace palette dialog)
   // ============================================================
+  // The last captured palette is kept per account in localStorage so uploads
+  // work before the picker has been opened this session.
+  const PatPlacerPaletteStore = {
+    KEY_PREFIX: 'patplacer_palette_',
+    
+    load(accountId) {
+      if (!accountId) return null;
+      try {
+        const saved = JSON.parse(localStorage.getItem(this.KEY_PREFIX + accountId));
+        if (!saved || !Array.isArray(saved.available) || saved.available.length === 0) return null;
+        const isColor = c => c && Number.isInteger(c.id) && [c.r, c.g, c.b].every(v => Number.isInteger(v) && v >= 0 && v <= 255);
+        if (!saved.available.every(isColor)) return null;
+        return {
+          available: saved.available,
+          locked: Array.isArray(saved.locked) ? saved.locked.filter(isColor) : [],
+          savedAt: saved.savedAt || 0
+        };
+      } catch (e) {
+        console.warn('[PatPlacer] Ignoring unreadable saved palette', e);
+        return null;
+      }
+    },
+    
+    save(accountId, available, locked) {
+      if (!accountId) return;
+      try {
+        localStorage.setItem(this.KEY_PREFIX + accountId, JSON.stringify({ available, locked, savedAt: Date.now() }));
+      } catch (e) {
+        console.warn('[PatPlacer] Could not save palette', e);
+      }
+    },
+    
+    /**
+     * What changed between two captures of the available colors (matched by RGB)
+     * @returns {Object} - {unlocked, lost, renumbered}, each a list of colors from `next`/`prev`
+     */
+    diff(prev, next) {
+      const rgbKey = c => `${c.r},${c.g},${c.b}`;
+      const prevByRgb = new Map(prev.map(c => [rgbKey(c), c]));
+      const nextKeys = new Set(next.map(rgbKey));
+      return {
+        unlocked: next.filter(c => !prevByRgb.has(rgbKey(c))),
+        lost: prev.filter(c => !nextKeys.has(rgbKey(c))),
+        renumbered: next.filter(c => prevByRgb.has(rgbKey(c)) && prevByRgb.get(rgbKey(c)).id !== c.id)
+      };
+    }
+  };
+  
   function extractAvailableColors() {
     // Look for wplace color palette buttons
     // They appear in a tooltip/dialog when user clicks the paint button
@@ -607,12 +1011,21 @@
     
     console.log(`[PatPlacer] Captured colors: ${availableColors.length} available, ${unavailableColors.length} locked`);
     
-    return availableColors.length > 0 ? availableColors : null;
+    return availableColors.length > 0 ? { available: availableColors, locked: unavailableColors } : null;
   }
   
-  function onColorsCaptured(colors) {
+  /**
+   * Use a captured (or restored) palette
+   * @param {Array} colors - Available colors
+   * @param {Array} lockedColors - Locked colors
+   * @param {Object} options - {restored: true} when loaded from the saved palette
+   */
+  function onColorsCaptured(colors, lockedColors = [], { restored = false } = {}) {
+    const previous = state.colorsCaptured ? state.availableColors : null;
     state.availableColors = colors;
+    state.lockedColors = lockedColors;
     state.colorsCaptured = true;
+    if (!restored) PatPlacerPaletteStore.save(state.accountId, colors, lockedColors);
     
     // Update CONFIG.COLOR_PALETTE to only include available colors
     CONFIG.COLOR_PALETTE = colors.map(c => ({
@@ -644,8 +1057,82 @@
       });
     }
     
+    if (restored) {
+      updateStatus(`✓ Restored ${colors.length} available colors from your last session`);
+      return;
+    }
     updateStatus(`✓ Captured ${colors.length} available colors`);
     console.log('[PatPlacer] Colors captured successfully:', colors.length);
+    
+    if (previous) handlePaletteChange(PatPlacerPaletteStore.diff(previous, colors));
+  }
+  
+  let deferredPaletteChange = null; // Change seen while placing, offered once placement stops
+  
+  /**
+   * Tell the user what changed and offer to re-quantize the loaded template
+   * @param {Object} changes - From PatPlacerPaletteStore.diff()
+   */
+  function handlePaletteChange(changes) {
+    const { unlocked, lost, renumbered } = changes;
+    const parts = [];
+    if (unlocked.length > 0) parts.push(`${unlocked.length} color${unlocked.length === 1 ? '' : 's'} unlocked`);
+    if (lost.length > 0) parts.push(`${lost.length} no longer available`);
+    if (renumbered.length > 0) parts.push(`${renumbered.length} with new ids`);
+    if (parts.length === 0) return;
+    
+    const summary = parts.join(', ');
+    console.log(`[PatPlacer] Palette changed: ${summary}`);
+    if (state.allPixels.length === 0) {
+      updateStatus(`Palette changed: ${summary}`);
+      return;
+    }
+    
+    // Re-quantizing rebuilds the pixel list, which the running batch is walking
+    if (state.isPlacing) {
+      deferredPaletteChange = changes;
+      updateStatus(`Palette changed: ${summary} - re-quantizing will be offered when placement stops`);
+      return;
+    }
+    
+    // Snapping the processed pixels keeps progress, reprocessing the original doesn't
+    const progressNote = state.placedCount > 0 && state.originalBitmap ? '\nPlacement progress on this template will be reset.' : '';
+    if (confirm(`Your wplace palette changed: ${summary}.\n\nRe-quantize the loaded template with the new palette?${progressNote}`)) {
+      requantizeTemplate();
+    } else {
+      updateStatus(`Palette changed: ${summary} - template kept as is`);
+    }
+  }
+  
+  // Offer a palette change that came in during placement
+  function offerDeferredPaletteChange() {
+    if (!deferredPaletteChange || state.isPlacing) return;
+    const changes = deferredPaletteChange;
+    deferredPaletteChange = null;
+    handlePaletteChange(changes);
+  }
+  
+  // Re-run processing with the current palette (or snap the processed pixels when the original is gone)
+  async function requantizeTemplate() {
+    if (state.isPlacing) return;
+    if (state.originalBitmap) {
+      await applyProcessing();
+      return;
+    }
+    if (!state.imageData) return;
+    
+    const imageData = new ImageData(new Uint8ClampedArray(state.imageData.data), state.imageData.width, state.imageData.height);
+    const data = imageData.data;
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i + 3] < 128) continue;
+      const color = findExactOrClosestColor(data[i], data[i + 1], data[i + 2]);
+      if (!color) continue;
+      data[i] = color.r;
+      data[i + 1] = color.g;
+      data[i + 2] = color.b;
+    }
+    await applyEditedImage(imageData);
+    updateStatus(`✓ Re-quantized ${state.allPixels.length.toLocaleString()} pixels to the new palette`);
   }
   
   function setupColorPaletteObserver() {
@@ -663,9 +1150,9 @@
             console.log('[PatPlacer] Color palette detected!');
             // Small delay to ensure all colors are rendered
             setTimeout(() => {
-              const colors = extractAvailableColors();
-              if (colors && colors.length > 0) {
-                onColorsCaptured(colors);
+              const captured = extractAvailableColors();
+              if (captured) {
+                onColorsCaptured(captured.available, captured.locked);
               }
             }, 100);
           }
@@ -707,11 +1194,21 @@
     );
   }
 
-  function findClosestColor(r, g, b) {
+  /**
+   * Colors the current project may use: the available palette minus its exclusions
+   */
+  function getProjectPalette() {
+    const excluded = processingSettings.excludedColors;
+    if (!excluded || excluded.length === 0) return CONFIG.COLOR_PALETTE;
+    const allowed = CONFIG.COLOR_PALETTE.filter(c => !excluded.includes(c.id));
+    return allowed.length > 0 ? allowed : CONFIG.COLOR_PALETTE;
+  }
+
+  function findClosestColor(r, g, b, palette = CONFIG.COLOR_PALETTE) {
     let closest = null;
     let minDistance = Infinity;
 
-    for (const color of CONFIG.COLOR_PALETTE) {
+    for (const color of palette) {
       const dist = colorDistance(r, g, b, color.r, color.g, color.b);
       if (dist < minDistance) {
         minDistance = dist;
@@ -822,139 +1319,717 @@
   // ============================================================
   // STORAGE & EXPORT
   // ============================================================
-  const PatPlacerStorage = {
-    // Serialize current state to Hybrid JSON format
-    serializeState(name = 'My Pixel Art') {
-      // Create palette from used colors to save space
-      const palette = [];
-      const paletteMap = new Map(); // "r,g,b,a" -> index
-      
-      // Helper to get/add color to palette
-      const getPaletteIdx = (r, g, b, a = 255) => {
-        const key = `${r},${g},${b},${a}`;
-        if (paletteMap.has(key)) return paletteMap.get(key);
-        const idx = palette.length;
-        palette.push([r, g, b, a]);
-        paletteMap.set(key, idx);
-        return idx;
-      };
-
-      // Convert pixels to compact format: [x, y, paletteIdx, wplaceColorIdx]
-      // We use relative coordinates (x,y) because they are the source of truth.
-      // Absolute tile/pixel coordinates are derived from anchor + x,y.
-      const compactPixels = state.allPixels.map(p => {
-        // Ensure we have x,y
-        if (typeof p.x !== 'number' || typeof p.y !== 'number') {
-          return [0, 0, 0, 0]; 
-        }
-        
-        // Handle both flat structure (from buildPixelList) and nested color object (legacy/safety)
-        let r, g, b;
-        if (p.color) {
-          r = p.color.r; g = p.color.g; b = p.color.b;
-        } else {
-          r = p.r; g = p.g; b = p.b;
+  // Project file format. Bump SAVE_FORMAT_VERSION when the layout changes and
+  // add a SAVE_MIGRATIONS entry that upgrades the previous version by one step.
+  const SAVE_FORMAT_VERSION = 2;
+  
+  const SAVE_MIGRATIONS = {
+    // v1 stored absolute pixels [tileX, tileY, pixelX, pixelY, paletteIdx, colorId].
+    // The top-left most pixel becomes the anchor and coordinates become relative to it.
+    1: (data) => {
+      const absolute = data.pixels.map(p => {
+        if (!Array.isArray(p) || p.length !== 6) {
+          throw new Error('Invalid project file: v1 pixels must be [tileX, tileY, pixelX, pixelY, paletteIndex, colorId]');
         }
-
-        return [
-          p.x, p.y, 
-          getPaletteIdx(r, g, b), 
-          p.colorIdx
-        ];
+        return [p[0] * CONFIG.TILE_SIZE + p[2], p[1] * CONFIG.TILE_SIZE + p[3], p[4], p[5]];
       });
-
+      
+      let minX = Infinity, minY = Infinity;
+      for (const [x, y] of absolute) {
+        if (x < minX) minX = x;
+        if (y < minY) minY = y;
+      }
+      const anchor = absolute.length > 0 ? {
+        tile: { x: Math.floor(minX / CONFIG.TILE_SIZE), y: Math.floor(minY / CONFIG.TILE_SIZE) },
+        pixel: { x: minX % CONFIG.TILE_SIZE, y: minY % CONFIG.TILE_SIZE }
+      } : null;
+      
       return {
-        version: 2, // Bump version for new format
-        savedAt: Date.now(),
-        project: {
-          name: name,
-          anchor: state.anchorSet ? {
-            tile: state.anchorTile,
-            pixel: state.anchorPixel
-          } : null
-        },
-        palette: palette,
-        pixels: compactPixels,
-        progress: {
-          placedCount: state.currentBatchIndex
-        }
+        ...data,
+        version: 2,
+        project: { ...data.project, anchor },
+        pixels: absolute.map(([x, y, palIdx, colorIdx]) => [x - minX, y - minY, palIdx, colorIdx])
       };
-    },
-
-    // Deserialize Hybrid JSON to state
-    async deserializeState(data) {
-      if (!data || !data.pixels) {
-        throw new Error('Invalid save file format');
+    }
+  };
+  
+  /**
+   * Upgrade a parsed project file to SAVE_FORMAT_VERSION
+   * Files without a version are detected by their pixel layout
+   * @returns {Object} - Migrated copy (the input is left untouched)
+   */
+  function migrateProject(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Not a PatPlacer project file');
+    }
+    if (!Array.isArray(data.pixels)) {
+      throw new Error('Invalid project file: missing pixel list');
+    }
+    
+    let version = data.version;
+    if (version === undefined) version = data.pixels[0]?.length === 6 ? 1 : SAVE_FORMAT_VERSION;
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error(`Invalid project file: unknown format version "${data.version}"`);
+    }
+    if (version > SAVE_FORMAT_VERSION) {
+      throw new Error(`Project uses format v${version} - update PatPlacer to open it`);
+    }
+    
+    let migrated = data;
+    while (version < SAVE_FORMAT_VERSION) {
+      const migrate = SAVE_MIGRATIONS[version];
+      if (!migrate) throw new Error(`No migration from project format v${version}`);
+      migrated = migrate(migrated);
+      version++;
+      console.log(`[PatPlacer] Migrated project to format v${version}`);
+    }
+    return migrated;
+  }
+  
+  /**
+   * Check run-length encoded pixel status against a pixel count
+   * @returns {string|null} - What is wrong, or null if the runs are usable
+   */
+  function checkStatusRuns(runs, total) {
+    const maxStatus = Math.max(...Object.values(PIXEL_STATUS));
+    if (!Array.isArray(runs) || runs.length % 2 !== 0 ||
+        !runs.every((v, i) => Number.isInteger(v) && v >= 0 && (i % 2 === 1 || v <= maxStatus))) {
+      return 'must be [status, length] pairs';
+    }
+    let covered = 0;
+    for (let i = 1; i < runs.length; i += 2) covered += runs[i];
+    if (covered !== total) return `covers ${covered} pixels, expected ${total}`;
+    return null;
+  }
+  
+  /**
+   * Check one processing setting against its default's type
+   * Loaded settings are copied into processingSettings as they are, so a wrong
+   * type would go straight to the pipeline
+   * @returns {string|null} - What is wrong, or null if the value is usable
+   */
+  function checkProcessingSetting(key, value) {
+    const isInt = (v, min) => Number.isInteger(v) && v >= min;
+    if (key === 'width' || key === 'height') {
+      return isInt(value, 1) ? null : 'must be a whole number above 0';
+    }
+    if (key === 'crop') {
+      return value === null || (value && isInt(value.x, 0) && isInt(value.y, 0) && isInt(value.width, 1) && isInt(value.height, 1))
+        ? null : 'must be null or {x, y, width, height}';
+    }
+    if (key === 'excludedColors') {
+      return Array.isArray(value) && value.every(id => isInt(id, 0)) ? null : 'must be a list of color ids';
+    }
+    const fallback = DEFAULT_PROCESSING_SETTINGS[key];
+    if (fallback === undefined) return null;
+    const valid = typeof fallback === 'number' ? Number.isFinite(value) : typeof value === typeof fallback;
+    return valid ? null : `must be a ${typeof fallback}`;
+  }
+  
+  /**
+   * Check a migrated project against the current format
+   * Throws with a message that names the offending field
+   */
+  function validateProject(data) {
+    const fail = (message) => { throw new Error(`Invalid project file: ${message}`); };
+    const isInt = (v, min = -Infinity, max = Infinity) => Number.isInteger(v) && v >= min && v <= max;
+    const isPoint = (p, max) => p && isInt(p.x, 0, max) && isInt(p.y, 0, max);
+    
+    if (data.project !== undefined && (typeof data.project !== 'object' || data.project === null)) fail('project must be an object');
+    const project = data.project || {};
+    if (project.name !== undefined && typeof project.name !== 'string') fail('project.name must be text');
+    if (project.anchor) {
+      if (!isPoint(project.anchor.tile)) fail('project.anchor.tile must have whole x and y');
+      if (!isPoint(project.anchor.pixel, CONFIG.TILE_SIZE - 1)) {
+        fail(`project.anchor.pixel must be between 0 and ${CONFIG.TILE_SIZE - 1}`);
       }
-
-      // Restore anchor if present - also store as savedAnchor for arrow guide
-      if (data.project && data.project.anchor) {
-        // Store the original anchor position for the arrow guide
-        state.savedAnchor = {
-          tile: { ...data.project.anchor.tile },
-          pixel: { ...data.project.anchor.pixel }
-        };
-        
-        // Don't auto-restore anchor - let user re-capture it
-        // But show UI that we have a saved anchor position
-        state.anchorSet = false;
-        state.anchorTile = null;
-        state.anchorPixel = null;
-        
-        const tileEl = document.getElementById('patplacer-tile-pos');
-        const pixelEl = document.getElementById('patplacer-pixel-pos');
-        if (tileEl) tileEl.textContent = '(not set)';
-        if (pixelEl) pixelEl.textContent = '(not set)';
-        
-        const capBtn = document.getElementById('patplacer-capture-btn');
-        if (capBtn) capBtn.innerHTML = `<img src="${CONFIG.ICON_BASE}location.png" class="pp-btn-icon" alt=""> Capture Anchor`;
-        
-        // Show the arrow guide to saved anchor position
-        showSavedAnchorArrow();
-      } else {
-        state.savedAnchor = null;
+    }
+    
+    if (!Array.isArray(data.palette)) fail('missing palette');
+    data.palette.forEach((c, i) => {
+      if (!Array.isArray(c) || c.length < 3 || c.length > 4 || !c.every(v => isInt(v, 0, 255))) {
+        fail(`palette[${i}] must be [r, g, b] or [r, g, b, a] with values 0-255`);
       }
-
-      // Restore pixels
-      state.allPixels = data.pixels.map(p => {
-        // Handle both formats (v1: 6 args, v2: 4 args)
-        let x, y, palIdx, colorIdx;
-        
-        if (p.length === 6) {
-          // v1: [tx, ty, px, py, palIdx, colorIdx] - Absolute
-          // We need to convert back to relative x,y if possible
-          // But since we might not have anchor, this is tricky.
-          // For now, let's assume we can't easily recover x,y without complex math
-          // So we'll just use 0,0 and hope the user re-uploads image? 
-          // Or better: if we have anchor, calculate x,y.
-          // But simpler: just support v2 for now since v1 was never released/working fully.
-          palIdx = p[4];
-          colorIdx = p[5];
-          x = 0; y = 0; // Fallback
-        } else {
-          // v2: [x, y, palIdx, colorIdx] - Relative
-          [x, y, palIdx, colorIdx] = p;
-        }
-
-        const rgba = data.palette[palIdx] || [0,0,0,255];
-        return {
-          x: x,
-          y: y,
-          // Use flat structure to match buildPixelList and placeDraft expectations
-          r: rgba[0], 
-          g: rgba[1], 
-          b: rgba[2],
-          // color: { ... } - Removed to ensure consistency with flat structure
-          colorIdx: colorIdx,
-          season: 0
-        };
+    });
+    
+    data.pixels.forEach((p, i) => {
+      if (!Array.isArray(p) || p.length !== 4) fail(`pixels[${i}] must be [x, y, paletteIndex, colorId]`);
+      if (!isInt(p[0], 0) || !isInt(p[1], 0)) fail(`pixels[${i}] has a negative or fractional position`);
+      if (!isInt(p[2], 0, data.palette.length - 1)) fail(`pixels[${i}] points at missing palette entry ${p[2]}`);
+      if (!isInt(p[3], 0)) fail(`pixels[${i}] has an invalid color id`);
+    });
+    
+    const progress = data.progress;
+    if (progress !== undefined) {
+      if (typeof progress !== 'object' || progress === null) fail('progress must be an object');
+      if (progress.placedCount !== undefined && !isInt(progress.placedCount, 0)) fail('progress.placedCount must be a whole number');
+      if (progress.status !== undefined) {
+        const problem = checkStatusRuns(progress.status, data.pixels.length);
+        if (problem) fail(`progress.status ${problem}`);
+      }
+    }
+    
+    const history = data.guard?.history;
+    if (history !== undefined) {
+      if (!Array.isArray(history)) fail('guard.history must be a list');
+      history.forEach((entry, i) => {
+        if (!isDamageHistoryEntry(entry)) fail(`guard.history[${i}] must be {time, tile: "x,y", damaged, repaired}`);
       });
-
+    }
+    
+    const settings = data.processing?.settings;
+    if (settings !== undefined) {
+      if (typeof settings !== 'object' || settings === null) fail('processing.settings must be an object');
+      for (const key of Object.keys(DEFAULT_PROCESSING_SETTINGS)) {
+        if (settings[key] === undefined) continue;
+        const problem = checkProcessingSetting(key, settings[key]);
+        if (problem) fail(`processing.settings.${key} ${problem}`);
+      }
+    }
+    if (data.source) {
+      if (!(data.source.blob instanceof Blob) && typeof data.source.dataUrl !== 'string') {
+        fail('source must contain an image');
+      }
+      if (typeof data.source.dataUrl === 'string' && !data.source.dataUrl.startsWith('data:image/')) {
+        fail('source.dataUrl must be an image data URL');
+      }
+    }
+  }
+  
+  // Compact project format (.ppz) - gzip of:
+  //   "PPZ1" | uint32 header length | header JSON | indexed pixel layer | original image bytes
+  // The layer holds one byte per cell of the artwork's bounding box: 0 = empty,
+  // n = header.layer.palette[n - 1] ([r, g, b, a, colorId]). Pixels and their
+  // status runs are in raster order. Decoding gives back the JSON layout.
+  const PatPlacerCompact = {
+    MAGIC: 'PPZ1',
+    EXTENSION: '.ppz',
+    
+    /**
+     * Pack serialized project data
+     * @param {Object} data - From PatPlacerStorage.serializeState()
+     * @returns {Promise<Blob>}
+     */
+    async encode(data) {
+      let width = 0, height = 0;
+      for (const [x, y] of data.pixels) {
+        if (x + 1 > width) width = x + 1;
+        if (y + 1 > height) height = y + 1;
+      }
+      
+      // One layer palette entry per (color, wplace id) pair
+      const entries = [];
+      const entryIndex = new Map();
+      const layer = new Uint8Array(width * height);
+      const cellPixel = new Int32Array(width * height).fill(-1);
+      data.pixels.forEach(([x, y, palIdx, colorIdx], i) => {
+        const key = `${palIdx},${colorIdx}`;
+        let entry = entryIndex.get(key);
+        if (entry === undefined) {
+          entry = entries.length + 1;
+          if (entry > 255) throw new Error('Too many colors for the compact format');
+          const [r, g, b, a = 255] = data.palette[palIdx];
+          entries.push([r, g, b, a, colorIdx]);
+          entryIndex.set(key, entry);
+        }
+        const cell = y * width + x;
+        if (layer[cell] !== 0) throw new Error('Overlapping pixels cannot be packed');
+        layer[cell] = entry;
+        cellPixel[cell] = i;
+      });
+      
+      const { pixels, palette, source, ...header } = data;
+      header.layer = { width, height, palette: entries };
+      
+      // Status runs follow the raster order the decoder rebuilds pixels in
+      if (Array.isArray(data.progress?.status)) {
+        const status = new Uint8Array(pixels.length);
+        decodeRuns(data.progress.status, status);
+        const rasterStatus = new Uint8Array(pixels.length);
+        let n = 0;
+        for (let cell = 0; cell < cellPixel.length; cell++) {
+          if (cellPixel[cell] >= 0) rasterStatus[n++] = status[cellPixel[cell]];
+        }
+        header.progress = { ...data.progress, status: encodeRuns(rasterStatus) };
+      }
+      
+      const parts = [layer];
+      if (source?.blob) {
+        header.source = { width: source.width, height: source.height, type: source.blob.type, size: source.blob.size };
+        parts.push(source.blob);
+      }
+      
+      const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+      const lengthBytes = new Uint8Array(4);
+      new DataView(lengthBytes.buffer).setUint32(0, headerBytes.length, true);
+      const raw = new Blob([this.MAGIC, lengthBytes, headerBytes, ...parts]);
+      return new Response(raw.stream().pipeThrough(new CompressionStream('gzip'))).blob();
+    },
+    
+    /**
+     * Unpack a .ppz blob into the JSON project layout
+     * @param {Blob} blob
+     * @returns {Promise<Object>}
+     */
+    async decode(blob) {
+      let bytes;
+      try {
+        bytes = new Uint8Array(await new Response(blob.stream().pipeThrough(new DecompressionStream('gzip'))).arrayBuffer());
+      } catch (e) {
+        throw new Error('Invalid project file: compact data is corrupted');
+      }
+      if (new TextDecoder().decode(bytes.subarray(0, 4)) !== this.MAGIC) {
+        throw new Error('Invalid project file: not a PatPlacer compact project');
+      }
+      
+      const headerLength = new DataView(bytes.buffer, bytes.byteOffset).getUint32(4, true);
+      let offset = 8 + headerLength;
+      let header;
+      try {
+        header = JSON.parse(new TextDecoder().decode(bytes.subarray(8, offset)));
+      } catch (e) {
+        throw new Error('Invalid project file: compact header is not valid JSON');
+      }
+      
+      const { width, height, palette: entries } = header.layer || {};
+      if (!Number.isInteger(width) || !Number.isInteger(height) || !Array.isArray(entries) ||
+          bytes.length < offset + width * height) {
+        throw new Error('Invalid project file: compact pixel layer is incomplete');
+      }
+      const layer = bytes.subarray(offset, offset + width * height);
+      offset += width * height;
+      
+      const pixels = [];
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const entry = layer[y * width + x];
+          if (entry === 0) continue;
+          if (!entries[entry - 1]) throw new Error(`Invalid project file: missing layer palette entry ${entry}`);
+          pixels.push([x, y, entry - 1, entries[entry - 1][4]]);
+        }
+      }
+      
+      const { layer: _layer, source, ...data } = header;
+      data.palette = entries.map(([r, g, b, a]) => [r, g, b, a]);
+      data.pixels = pixels;
+      if (source) {
+        const sourceBytes = bytes.subarray(offset, offset + source.size);
+        data.source = { width: source.width, height: source.height, blob: new Blob([sourceBytes], { type: source.type }) };
+      }
+      return data;
+    },
+    
+    // gzip starts with 0x1f 0x8b
+    async isCompact(blob) {
+      const head = new Uint8Array(await blob.slice(0, 2).arrayBuffer());
+      return head[0] === 0x1f && head[1] === 0x8b;
+    }
+  };
+  
+  // Indexed PNG export - the processed image with one palette entry per
+  // color, plus text chunks so PatPlacer can pick the project back up.
+  const PatPlacerPNG = {
+    SIGNATURE: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+    META_KEYWORD: 'PatPlacer',
+    _crcTable: null,
+    
+    _crc32(bytes) {
+      if (!this._crcTable) {
+        this._crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+          let c = n;
+          for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+          this._crcTable[n] = c >>> 0;
+        }
+      }
+      let crc = 0xffffffff;
+      for (let i = 0; i < bytes.length; i++) crc = this._crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+      return (crc ^ 0xffffffff) >>> 0;
+    },
+    
+    // length | type | data | crc(type + data)
+    _chunk(type, data) {
+      const chunk = new Uint8Array(12 + data.length);
+      const view = new DataView(chunk.buffer);
+      view.setUint32(0, data.length);
+      for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+      chunk.set(data, 8);
+      view.setUint32(8 + data.length, this._crc32(chunk.subarray(4, 8 + data.length)));
+      return chunk;
+    },
+    
+    // tEXt is Latin-1; text beyond it goes into an uncompressed UTF-8 iTXt chunk
+    _textChunk(keyword, text) {
+      if (/^[\x00-\xff]*$/.test(text)) {
+        return this._chunk('tEXt', Uint8Array.from(`${keyword}\0${text}`, c => c.charCodeAt(0)));
+      }
+      // keyword, compression flag + method, empty language tag and translated keyword
+      const head = Uint8Array.from(`${keyword}\0\0\0\0\0`, c => c.charCodeAt(0));
+      const body = new TextEncoder().encode(text);
+      const data = new Uint8Array(head.length + body.length);
+      data.set(head);
+      data.set(body, head.length);
+      return this._chunk('iTXt', data);
+    },
+    
+    /**
+     * Encode image data as an 8-bit indexed PNG
+     * @param {ImageData} imageData - Palette-exact image (alpha < 128 is transparent)
+     * @param {Object} text - Text chunks as {keyword: string}
+     * @returns {Promise<Blob>}
+     */
+    async encode(imageData, text = {}) {
+      const { width, height, data } = imageData;
+      
+      // Transparent pixels share index 0 so tRNS stays one byte long
+      const colors = [];
+      const colorIndex = new Map();
+      const hasTransparent = data.some((v, i) => i % 4 === 3 && v < 128);
+      if (hasTransparent) {
+        colors.push([0, 0, 0]);
+        colorIndex.set(-1, 0);
+      }
+      
+      // Each row starts with filter type 0 (none)
+      const raw = new Uint8Array((width + 1) * height);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const i = (y * width + x) * 4;
+          const key = data[i + 3] < 128 ? -1 : (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+          let index = colorIndex.get(key);
+          if (index === undefined) {
+            index = colors.length;
+            if (index > 255) throw new Error('Image has more than 256 colors');
+            colors.push([data[i], data[i + 1], data[i + 2]]);
+            colorIndex.set(key, index);
+          }
+          raw[y * (width + 1) + 1 + x] = index;
+        }
+      }
+      
+      const header = new Uint8Array(13);
+      const headerView = new DataView(header.buffer);
+      headerView.setUint32(0, width);
+      headerView.setUint32(4, height);
+      header[8] = 8; // bit depth
+      header[9] = 3; // color type: indexed
+      
+      const compressed = new Uint8Array(await new Response(
+        new Blob([raw]).stream().pipeThrough(new CompressionStream('deflate'))
+      ).arrayBuffer());
+      
+      const chunks = [this._chunk('IHDR', header), this._chunk('PLTE', Uint8Array.from(colors.flat()))];
+      if (hasTransparent) chunks.push(this._chunk('tRNS', Uint8Array.of(0)));
+      for (const [keyword, value] of Object.entries(text)) {
+        chunks.push(this._textChunk(keyword, value));
+      }
+      chunks.push(this._chunk('IDAT', compressed), this._chunk('IEND', new Uint8Array(0)));
+      return new Blob([Uint8Array.from(this.SIGNATURE), ...chunks], { type: 'image/png' });
+    },
+    
+    /**
+     * Read the tEXt and uncompressed iTXt chunks of a PNG file
+     * @param {Blob} blob
+     * @returns {Promise<Object|null>} - {keyword: text}, or null if not a PNG
+     */
+    async readText(blob) {
+      const bytes = new Uint8Array(await blob.arrayBuffer());
+      if (bytes.length < 8 || this.SIGNATURE.some((v, i) => bytes[i] !== v)) return null;
+      
+      const view = new DataView(bytes.buffer);
+      const text = {};
+      let offset = 8;
+      while (offset + 12 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        if (type === 'tEXt') {
+          // Byte = code point; TextDecoder('latin1') is windows-1252 and remaps 0x80-0x9F
+          const body = Array.from(bytes.subarray(offset + 8, offset + 8 + length), b => String.fromCharCode(b)).join('');
+          const split = body.indexOf('\0');
+          if (split > 0) text[body.slice(0, split)] = body.slice(split + 1);
+        }
+        if (type === 'iTXt') {
+          const chunk = bytes.subarray(offset + 8, offset + 8 + length);
+          const split = chunk.indexOf(0);
+          // Skip the language tag and translated keyword after the two compression bytes
+          const language = split > 0 && chunk[split + 1] === 0 ? chunk.indexOf(0, split + 3) : -1;
+          const translated = language >= 0 ? chunk.indexOf(0, language + 1) : -1;
+          if (translated >= 0) {
+            const keyword = String.fromCharCode(...chunk.subarray(0, split));
+            text[keyword] = new TextDecoder().decode(chunk.subarray(translated + 1));
+          }
+        }
+        if (type === 'IEND') break;
+        offset += 12 + length;
+      }
+      return text;
+    },
+    
+    /**
+     * PatPlacer metadata embedded by PatPlacerStorage.exportToPNG()
+     * @param {Blob} blob
+     * @returns {Promise<Object|null>} - {name, anchor, progress}
+     */
+    async readMetadata(blob) {
+      const text = await this.readText(blob);
+      if (!text || !text[this.META_KEYWORD]) return null;
+      try {
+        const meta = JSON.parse(text[this.META_KEYWORD]);
+        return meta && typeof meta === 'object' ? meta : null;
+      } catch (e) {
+        console.warn('[PatPlacer] Ignoring unreadable PNG metadata', e);
+        return null;
+      }
+    }
+  };
+  
+  // Share strings - "PP1:" + base64url of a compact (.ppz) project holding
+  // only what's needed to show the template: name, anchor and pixels.
+  const PatPlacerShare = {
+    PREFIX: 'PP1:',
+    
+    /**
+     * Build a share string from serialized project data
+     * @param {Object} data - From PatPlacerStorage.serializeState()
+     * @returns {Promise<string>}
+     */
+    async encode(data) {
+      const bytes = new Uint8Array(await (await PatPlacerCompact.encode(this._pick(data))).arrayBuffer());
+      let binary = '';
+      for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+      }
+      return this.PREFIX + btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    },
+    
+    /**
+     * Read a pasted share string back into project data
+     * @param {string} text
+     * @returns {Promise<Object>}
+     */
+    async decode(text) {
+      text = text.trim();
+      if (!text.startsWith(this.PREFIX)) {
+        throw new Error(`Not a PatPlacer share string (should start with ${this.PREFIX})`);
+      }
+      let binary;
+      try {
+        binary = atob(text.slice(this.PREFIX.length).replace(/\s+/g, '').replace(/-/g, '+').replace(/_/g, '/'));
+      } catch (e) {
+        throw new Error('Share string is damaged - copy it again');
+      }
+      const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+      // Pasted strings come from anyone - drop whatever encode() wouldn't have written
+      return this._pick(await PatPlacerCompact.decode(new Blob([bytes])));
+    },
+    
+    // The fields a share string carries
+    _pick(data) {
+      return {
+        version: data.version,
+        project: {
+          name: data.project?.name,
+          anchor: data.project?.anchor || null
+        },
+        palette: data.palette,
+        pixels: data.pixels
+      };
+    }
+  };
+  
+  function blobToDataURL(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+  
+  // Decoded locally - fetch() would go through the overlay interceptor
+  function dataURLToBlob(dataUrl) {
+    const match = dataUrl.match(/^data:([^;,]*)(;base64)?,(.*)$/s);
+    if (!match) throw new Error('Invalid data URL');
+    const text = match[2] ? atob(match[3]) : decodeURIComponent(match[3]);
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i);
+    return new Blob([bytes], { type: match[1] || 'application/octet-stream' });
+  }
+
+  const PatPlacerStorage = {
+    // Serialize current state to Hybrid JSON format
+    serializeState(name = state.projectName) {
+      // Create palette from used colors to save space
+      const palette = [];
+      const paletteMap = new Map(); // "r,g,b,a" -> index
+      
+      // Helper to get/add color to palette
+      const getPaletteIdx = (r, g, b, a = 255) => {
+        const key = `${r},${g},${b},${a}`;
+        if (paletteMap.has(key)) return paletteMap.get(key);
+        const idx = palette.length;
+        palette.push([r, g, b, a]);
+        paletteMap.set(key, idx);
+        return idx;
+      };
+
+      // Convert pixels to compact format: [x, y, paletteIdx, wplaceColorIdx]
+      // We use relative coordinates (x,y) because they are the source of truth.
+      // Absolute tile/pixel coordinates are derived from anchor + x,y.
+      const compactPixels = state.allPixels.map(p => {
+        // Ensure we have x,y
+        if (typeof p.x !== 'number' || typeof p.y !== 'number') {
+          return [0, 0, 0, 0]; 
+        }
+        
+        // Handle both flat structure (from buildPixelList) and nested color object (legacy/safety)
+        let r, g, b;
+        if (p.color) {
+          r = p.color.r; g = p.color.g; b = p.color.b;
+        } else {
+          r = p.r; g = p.g; b = p.b;
+        }
+
+        return [
+          p.x, p.y, 
+          getPaletteIdx(r, g, b), 
+          p.colorIdx
+        ];
+      });
+
+      return {
+        version: SAVE_FORMAT_VERSION,
+        savedAt: Date.now(),
+        project: {
+          name: name,
+          anchor: state.anchorSet ? {
+            tile: state.anchorTile,
+            pixel: state.anchorPixel
+          } : null,
+          overlayStyle: state.overlayStyle
+        },
+        palette: palette,
+        pixels: compactPixels,
+        progress: {
+          placedCount: state.placedCount,
+          status: encodeRuns(getSavedPixelStatus()),
+          strategy: state.placementStrategy,
+          seed: state.placementSeed
+        },
+        guard: {
+          history: state.damageHistory
+        },
+        processing: {
+          settings: copyProcessingSettings()
+        },
+        // Original upload for re-processing; a Blob here, a data URL in exported files
+        source: state.originalBlob && state.originalBlob.size <= CONFIG.EMBED_ORIGINAL_MAX_BYTES ? {
+          blob: state.originalBlob,
+          width: state.originalWidth,
+          height: state.originalHeight
+        } : null
+      };
+    },
+
+    // Restore the embedded original image (or clear the previous one)
+    async restoreOriginal(source) {
+      state.originalBitmap = null;
+      state.originalBlob = null;
+      state.originalWidth = 0;
+      state.originalHeight = 0;
+      state.originalImageLoaded = false;
+      if (!source) return;
+      
+      try {
+        const blob = source.blob instanceof Blob ? source.blob
+          : typeof source.dataUrl === 'string' ? dataURLToBlob(source.dataUrl)
+          : null;
+        if (!blob) return;
+        const bitmap = await createImageBitmap(blob);
+        state.originalBitmap = bitmap;
+        state.originalBlob = blob;
+        state.originalWidth = bitmap.width;
+        state.originalHeight = bitmap.height;
+        state.originalImageLoaded = true;
+      } catch (e) {
+        console.warn('[PatPlacer] Could not restore embedded original image:', e);
+      }
+    },
+
+    // Deserialize Hybrid JSON to state
+    async deserializeState(data) {
+      // Check everything before touching state so a bad file can't half-load
+      data = migrateProject(data);
+      validateProject(data);
+
+      // Restore anchor if present - also store as savedAnchor for arrow guide
+      restoreSavedAnchor(data.project?.anchor);
+
+      // Restore overlay style
+      if (OVERLAY_STYLES.includes(data.project?.overlayStyle)) {
+        state.overlayStyle = data.project.overlayStyle;
+        const styleSelect = document.getElementById('patplacer-overlay-style');
+        if (styleSelect) styleSelect.value = state.overlayStyle;
+      }
+
+      // Restore the last-used processing settings and the original image
+      const savedSettings = data.processing?.settings;
+      processingSettings.excludedColors = [];
+      if (savedSettings && typeof savedSettings === 'object') {
+        for (const key of Object.keys(processingSettings)) {
+          if (savedSettings[key] !== undefined) processingSettings[key] = savedSettings[key];
+        }
+        processingSizeRestored = true;
+        updateProcessingPanelUI();
+      }
+      await this.restoreOriginal(data.source);
+
+      // Restore pixels
+      state.allPixels = data.pixels.map(p => {
+        // [x, y, palIdx, colorIdx] - relative to the anchor (older formats are migrated above)
+        const [x, y, palIdx, colorIdx] = p;
+
+        const rgba = data.palette[palIdx] || [0,0,0,255];
+        return {
+          x: x,
+          y: y,
+          // Use flat structure to match buildPixelList and placeDraft expectations
+          r: rgba[0], 
+          g: rgba[1], 
+          b: rgba[2],
+          // color: { ... } - Removed to ensure consistency with flat structure
+          colorIdx: colorIdx,
+          season: 0
+        };
+      });
+
       // Restore progress
-      state.currentBatchIndex = data.progress?.placedCount || 0;
+      const progress = data.progress || {};
+      if (PLACEMENT_STRATEGIES.includes(progress.strategy)) {
+        state.placementStrategy = progress.strategy;
+      }
+      if (Number.isInteger(progress.seed)) {
+        state.placementSeed = progress.seed;
+      }
+      resetPlacementProgress();
+      if (Array.isArray(progress.status)) {
+        decodeRuns(progress.status, state.pixelStatus);
+        // Drafts live in wplace's page memory and don't survive a reload
+        for (let i = 0; i < state.pixelStatus.length; i++) {
+          if (state.pixelStatus[i] === PIXEL_STATUS.DRAFTED) state.pixelStatus[i] = PIXEL_STATUS.PENDING;
+        }
+      } else {
+        // Older saves only stored a contiguous count in raster order
+        state.pixelStatus.fill(PIXEL_STATUS.CONFIRMED, 0, Math.min(progress.placedCount || 0, state.allPixels.length));
+      }
+      recountPixelStatus();
+      state.damageHistory = sanitizeDamageHistory(data.guard?.history);
+      
+      const orderSelect = document.getElementById('patplacer-order-select');
+      if (orderSelect) orderSelect.value = state.placementStrategy;
       
       // Re-calculate placed pixels for overlay
-      state.placedPixels = state.allPixels.slice(0, state.currentBatchIndex);
+      state.placedPixels = state.allPixels.filter((p, i) => isPixelComplete(i));
       
       // Update UI
       const totalEl = document.getElementById('patplacer-total-pixels');
@@ -1000,6 +2075,8 @@
       }
       const width = maxX + 1;
       const height = maxY + 1;
+      state.imageWidth = width;
+      state.imageHeight = height;
       
       // Create canvas with reconstructed image
       const canvas = document.createElement('canvas');
@@ -1020,6 +2097,7 @@
         imageData.data[idx + 3] = 255;
       }
       ctx.putImageData(imageData, 0, 0);
+      state.imageData = imageData; // Lets the pixel editor work on restored projects
       
       // IMPORTANT: Create imageBitmap for template overlay functionality
       try {
@@ -1072,98 +2150,407 @@
       if (uploadLoaded) uploadLoaded.style.display = 'block';
     },
 
-    // Save to local storage
-    async saveToLocal() {
-      try {
-        const data = this.serializeState('Autosave');
-        localStorage.setItem('patplacer_autosave', JSON.stringify(data));
-        console.log('[PatPlacer] Auto-saved to localStorage');
-      } catch (e) {
+    // Library writes run one at a time, so an older snapshot can't land after a newer one
+    _saveQueue: Promise.resolve(),
+    
+    // Queue a library write; resolves or rejects with the task's result
+    enqueueSave(task) {
+      const run = this._saveQueue.then(task);
+      this._saveQueue = run.catch(() => {});
+      return run;
+    },
+    
+    // Make the current state a new library project. The id is assigned right away,
+    // so saves queued after this update the project instead of creating another one
+    createProject(name, data) {
+      const id = PatPlacerLibrary.newId();
+      state.projectId = id;
+      PatPlacerLibrary.setActiveId(id);
+      return this.enqueueSave(() => PatPlacerLibrary.create(name, data, id)).catch((e) => {
+        // Not stored - let the next save create it again
+        if (state.projectId === id) state.projectId = null;
+        for (const template of state.templates) {
+          if (template.projectId === id) template.projectId = null;
+        }
+        if (PatPlacerLibrary.getActiveId() === id) PatPlacerLibrary.setActiveId(null);
+        throw e;
+      });
+    },
+
+    // Save to the active library project (creates one if there is none yet)
+    saveToLocal() {
+      // Capture the project before anything awaits; the active template may change meanwhile
+      const data = this.serializeState();
+      const projectId = state.projectId;
+      const save = projectId
+        ? this.enqueueSave(() => PatPlacerLibrary.update(projectId, data))
+        : this.createProject(state.projectName, data);
+      return save.then(() => {
+        console.log('[PatPlacer] Auto-saved to project library');
+        updateLibraryPanel();
+      }, (e) => {
         console.warn('[PatPlacer] Auto-save failed', e);
-      }
+      });
     },
 
-    // Load from local storage
+    // Load the active library project
     async loadFromLocal() {
+      const id = PatPlacerLibrary.getActiveId();
+      if (!id) return false;
       try {
-        const json = localStorage.getItem('patplacer_autosave');
-        if (json) {
-          const data = JSON.parse(json);
-          await this.deserializeState(data);
-          return true;
-        }
+        return await PatPlacerLibrary.open(id);
       } catch (e) {
         console.error('[PatPlacer] Load failed:', e);
-        updateStatus('Failed to load autosave - clearing corrupted data');
-        localStorage.removeItem('patplacer_autosave'); // Clear bad data
+        updateStatus(`Failed to load project: ${e.message}`);
       }
       return false;
     },
 
-    // Check if autosave exists
-    hasAutosave() {
-      return !!localStorage.getItem('patplacer_autosave');
+    // Check if there is an active project to restore
+    async hasAutosave() {
+      const id = PatPlacerLibrary.getActiveId();
+      if (!id) return false;
+      try {
+        return !!(await PatPlacerLibrary.get(id));
+      } catch (e) {
+        return false;
+      }
     },
 
-    // Clear autosave
-    clearAutosave() {
-      localStorage.removeItem('patplacer_autosave');
-      updateStatus('Autosave cleared');
+    // Delete the active project from the library after a confirm; false if the user kept it
+    async clearAutosave() {
+      const id = PatPlacerLibrary.getActiveId();
+      const record = id ? await PatPlacerLibrary.get(id) : null;
+      if (record) {
+        if (!confirm(`Delete project "${record.name}"? This cannot be undone.`)) return false;
+        await PatPlacerLibrary.remove(id);
+      }
+      updateStatus('Project deleted');
       const btn = document.getElementById('patplacer-restore-btn');
       if (btn) btn.style.display = 'none';
+      return true;
     },
 
-    // Export to file
-    exportToFile() {
+    // Export to file (readable JSON, or the compact .ppz format)
+    async exportToFile({ compact = false } = {}) {
       const data = this.serializeState('PatPlacer Project');
-      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      let blob, extension = '.json';
+      if (compact) {
+        try {
+          blob = await PatPlacerCompact.encode(data);
+          extension = PatPlacerCompact.EXTENSION;
+        } catch (e) {
+          console.warn('[PatPlacer] Compact export failed, falling back to JSON', e);
+        }
+      }
+      if (!blob) {
+        if (data.source) {
+          const { blob: source, ...size } = data.source;
+          data.source = { ...size, dataUrl: await blobToDataURL(source) };
+        }
+        blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      }
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = `patplacer-project-${Date.now()}.json`;
+      a.download = `patplacer-project-${Date.now()}${extension}`;
       a.click();
       URL.revokeObjectURL(url);
       updateStatus('Project exported to file');
     },
 
-    // Import from file
-    importFromFile(file) {
-      const reader = new FileReader();
-      reader.onload = async (e) => {
-        try {
-          const data = JSON.parse(e.target.result);
-          await this.deserializeState(data);
-        } catch (err) {
-          console.error('[PatPlacer] Import failed:', err);
-          updateStatus('Error importing file: Invalid format');
+    // Export the processed image as an indexed PNG with the project in text chunks
+    async exportToPNG() {
+      if (!state.imageData) {
+        updateStatus('No processed image to export');
+        return;
+      }
+      const anchor = state.anchorSet
+        ? { tile: state.anchorTile, pixel: state.anchorPixel }
+        : state.savedAnchor;
+      const meta = {
+        version: 1,
+        name: state.projectName,
+        anchor: anchor || null,
+        progress: {
+          placedCount: state.placedCount,
+          total: state.allPixels.length,
+          status: encodeRuns(getSavedPixelStatus())
         }
       };
-      reader.readAsText(file);
+      try {
+        const blob = await PatPlacerPNG.encode(state.imageData, {
+          Title: state.projectName,
+          Software: 'PatPlacer',
+          [PatPlacerPNG.META_KEYWORD]: JSON.stringify(meta)
+        });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${state.projectName.replace(/[^\w.-]+/g, '_') || 'patplacer'}.png`;
+        a.click();
+        URL.revokeObjectURL(url);
+        updateStatus('Template exported as PNG');
+      } catch (e) {
+        console.error('[PatPlacer] PNG export failed:', e);
+        updateStatus(`PNG export failed: ${e.message}`);
+      }
+    },
+
+    // Load project data and keep it as a new library project instead of replacing the active one
+    async loadAsNewProject(data, fallbackName) {
+      await this.deserializeState(data);
+      const name = data.project?.name || fallbackName || 'Untitled';
+      state.projectName = name;
+      await this.createProject(name, this.serializeState(name));
+      updateLibraryPanel();
+    },
+
+    // Import from file (.json or .ppz, detected from the content)
+    async importFromFile(file) {
+      try {
+        const data = await PatPlacerCompact.isCompact(file)
+          ? await PatPlacerCompact.decode(file)
+          : JSON.parse(await file.text());
+        await this.loadAsNewProject(data, file.name.replace(/\.(json|ppz)$/i, ''));
+      } catch (err) {
+        console.error('[PatPlacer] Import failed:', err);
+        updateStatus(err instanceof SyntaxError
+          ? 'Error importing file: not valid JSON'
+          : `Error importing file: ${err.message}`);
+      }
     }
   };
 
   // ============================================================
-  // UI PANEL
+  // PROJECT LIBRARY (IndexedDB)
   // ============================================================
-  function createPanel() {
-    if (document.getElementById(CONFIG.PANEL_ID)) {
-      return document.getElementById(CONFIG.PANEL_ID);
-    }
+  // Each project is one record: metadata for the list view plus the
+  // serialized state from PatPlacerStorage.serializeState(), stored packed
+  // as a .ppz blob (`packed`) or, when packing fails, as plain `data`.
+  const PatPlacerLibrary = {
+    DB_NAME: 'patplacer',
+    DB_VERSION: 1,
+    STORE: 'projects',
+    ACTIVE_KEY: 'patplacer_active_project',
+    LEGACY_AUTOSAVE_KEY: 'patplacer_autosave',
+    _db: null,
+
+    // Open (and create) the database once
+    _openDB() {
+      if (!this._db) {
+        this._db = new Promise((resolve, reject) => {
+          const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+          request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(this.STORE)) {
+              db.createObjectStore(this.STORE, { keyPath: 'id' });
+            }
+          };
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+      }
+      return this._db;
+    },
 
-    const panel = document.createElement('div');
-    panel.id = CONFIG.PANEL_ID;
-    
-    // Get extension base URL for icons from injected resources
-    const iconBase = (window.__PATPLACER_RESOURCES__ && window.__PATPLACER_RESOURCES__.iconsBaseUrl)
-      ? window.__PATPLACER_RESOURCES__.iconsBaseUrl
-      : 'icons/';
-    
-    panel.innerHTML = `
-      <!-- Floating Decorations -->
-      <div class="pp-deco pp-deco-alien" style="background-image: url('${iconBase}alien.png')"></div>
-      <div class="pp-deco pp-deco-star" style="background-image: url('${iconBase}star.png')"></div>
-      <div class="pp-deco pp-deco-barrel" style="background-image: url('${iconBase}barrel.png')"></div>
-      <div class="pp-deco pp-deco-wizard" style="background-image: url('${iconBase}wizard.png')"></div>
+    // Run one request against the projects store
+    async _run(mode, fn) {
+      const db = await this._openDB();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(this.STORE, mode);
+        const request = fn(tx.objectStore(this.STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    },
+
+    // Build list metadata from serialized project data
+    _describe(data) {
+      let width = 0, height = 0;
+      for (const p of data.pixels) {
+        if (p[0] + 1 > width) width = p[0] + 1;
+        if (p[1] + 1 > height) height = p[1] + 1;
+      }
+      return {
+        width,
+        height,
+        pixelCount: data.pixels.length,
+        placedCount: data.progress?.placedCount || 0,
+        anchor: data.project?.anchor || null,
+        thumbnail: this._createThumbnail(data, width, height)
+      };
+    },
+
+    // Small PNG data URL preview (max 64px)
+    _createThumbnail(data, width, height) {
+      if (width === 0 || height === 0) return null;
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d');
+      const imageData = ctx.createImageData(width, height);
+      for (const [x, y, palIdx] of data.pixels) {
+        const rgba = data.palette[palIdx] || [0, 0, 0, 255];
+        const i = (y * width + x) * 4;
+        imageData.data[i] = rgba[0];
+        imageData.data[i + 1] = rgba[1];
+        imageData.data[i + 2] = rgba[2];
+        imageData.data[i + 3] = 255;
+      }
+      ctx.putImageData(imageData, 0, 0);
+
+      const scale = Math.min(1, 64 / Math.max(width, height));
+      const thumb = document.createElement('canvas');
+      thumb.width = Math.max(1, Math.round(width * scale));
+      thumb.height = Math.max(1, Math.round(height * scale));
+      const thumbCtx = thumb.getContext('2d');
+      thumbCtx.imageSmoothingEnabled = false;
+      thumbCtx.drawImage(canvas, 0, 0, thumb.width, thumb.height);
+      return thumb.toDataURL('image/png');
+    },
+
+    getActiveId() {
+      return localStorage.getItem(this.ACTIVE_KEY);
+    },
+
+    setActiveId(id) {
+      if (id) localStorage.setItem(this.ACTIVE_KEY, id);
+      else localStorage.removeItem(this.ACTIVE_KEY);
+    },
+
+    // Storage fields for serialized data
+    async _pack(data) {
+      try {
+        return { packed: await PatPlacerCompact.encode(data), data: undefined };
+      } catch (e) {
+        console.warn('[PatPlacer] Storing project unpacked:', e.message);
+        return { packed: undefined, data };
+      }
+    },
+
+    // Serialized data of a stored record, named after the record (rename doesn't re-pack)
+    async getData(record) {
+      const data = record.packed ? await PatPlacerCompact.decode(record.packed) : record.data;
+      return { ...data, project: { ...data.project, name: record.name } };
+    },
+
+    // All projects without their pixel data, most recently modified first
+    async list() {
+      const records = await this._run('readonly', store => store.getAll());
+      return records
+        .map(({ data, packed, ...meta }) => meta)
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+    },
+
+    async get(id) {
+      return this._run('readonly', store => store.get(id));
+    },
+
+    newId() {
+      return `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    },
+
+    async create(name, data, id = this.newId()) {
+      const now = Date.now();
+      const record = {
+        id,
+        name: name || 'Untitled',
+        createdAt: now,
+        updatedAt: now,
+        ...this._describe(data),
+        ...await this._pack(data)
+      };
+      await this._run('readwrite', store => store.put(record));
+      return record;
+    },
+
+    async update(id, data) {
+      const record = await this.get(id);
+      if (!record) throw new Error(`Project ${id} not found`);
+      Object.assign(record, this._describe(data), await this._pack(data), { updatedAt: Date.now() });
+      await this._run('readwrite', store => store.put(record));
+      return record;
+    },
+
+    async rename(id, name) {
+      const record = await this.get(id);
+      if (!record) return null;
+      record.name = name;
+      record.updatedAt = Date.now();
+      await this._run('readwrite', store => store.put(record));
+      if (state.projectId === id) state.projectName = name;
+      return record;
+    },
+
+    async duplicate(id) {
+      const record = await this.get(id);
+      if (!record) return null;
+      const name = `${record.name} (copy)`;
+      const stored = await this.getData(record);
+      const data = { ...stored, project: { ...stored.project, name } };
+      return this.create(name, data);
+    },
+
+    async remove(id) {
+      await this._run('readwrite', store => store.delete(id));
+      if (this.getActiveId() === id) this.setActiveId(null);
+      if (state.projectId === id) state.projectId = null;
+    },
+
+    // Make a project active and load it into state
+    async open(id) {
+      const record = await this.get(id);
+      if (!record) return false;
+      await PatPlacerStorage.deserializeState(await this.getData(record));
+      state.projectId = record.id;
+      state.projectName = record.name;
+      this.setActiveId(record.id);
+      return true;
+    },
+
+    // Move the old single localStorage autosave into the library (once)
+    async migrateAutosave() {
+      const json = localStorage.getItem(this.LEGACY_AUTOSAVE_KEY);
+      if (!json) return;
+      try {
+        const data = migrateProject(JSON.parse(json));
+        validateProject(data);
+        const name = data.project?.name && data.project.name !== 'Autosave' ? data.project.name : 'Autosave';
+        const record = await this.create(name, data);
+        localStorage.removeItem(this.LEGACY_AUTOSAVE_KEY);
+        if (!this.getActiveId()) this.setActiveId(record.id);
+        console.log('[PatPlacer] Migrated localStorage autosave into project library');
+      } catch (e) {
+        // Keep the old autosave so the migration can run again next time
+        console.warn('[PatPlacer] Could not migrate old autosave', e);
+      }
+    }
+  };
+
+  // ============================================================
+  // UI PANEL
+  // ============================================================
+  function createPanel() {
+    if (document.getElementById(CONFIG.PANEL_ID)) {
+      return document.getElementById(CONFIG.PANEL_ID);
+    }
+
+    const panel = document.createElement('div');
+    panel.id = CONFIG.PANEL_ID;
+    
+    // Get extension base URL for icons from injected resources
+    const iconBase = (window.__PATPLACER_RESOURCES__ && window.__PATPLACER_RESOURCES__.iconsBaseUrl)
+      ? window.__PATPLACER_RESOURCES__.iconsBaseUrl
+      : 'icons/';
+    
+    panel.innerHTML = `
+      <!-- Floating Decorations -->
+      <div class="pp-deco pp-deco-alien" style="background-image: url('${iconBase}alien.png')"></div>
+      <div class="pp-deco pp-deco-star" style="background-image: url('${iconBase}star.png')"></div>
+      <div class="pp-deco pp-deco-barrel" style="background-image: url('${iconBase}barrel.png')"></div>
+      <div class="pp-deco pp-deco-wizard" style="background-image: url('${iconBase}wizard.png')"></div>
       <div class="pp-deco pp-deco-dragon" style="background-image: url('${iconBase}dragon.png')"></div>
       <div class="pp-deco pp-deco-girl" style="background-image: url('${iconBase}girl.png')"></div>
       <div class="pp-deco pp-deco-axe" style="background-image: url('${iconBase}axe.png')"></div>
@@ -1215,6 +2602,7 @@
           <div class="pp-palette-status-row">
             <img src="${iconBase}palette.png" class="pp-info-stat-icon" alt="">
             <span class="pp-palette-status-text pp-pulse" id="patplacer-palette-text">WAITING...</span>
+            <button class="pp-palette-plan-btn" id="patplacer-planner-btn" title="Palette planner: which locked colors would help this artwork most">Plan</button>
           </div>
           <div class="pp-color-swatches" id="patplacer-color-swatches"></div>
         </div>
@@ -1228,8 +2616,19 @@
           <div class="pp-info-progress-bar">
             <div class="pp-info-progress-fill" id="patplacer-info-progress-fill" style="width: 0%;"></div>
           </div>
-          <div class="pp-info-progress-text">
-            <span id="patplacer-info-placed">0</span> / <span id="patplacer-info-total">0</span>
+          <div class="pp-info-verify">
+            <div class="pp-info-verify-item pp-verify-correct">
+              <span class="pp-info-verify-value" id="patplacer-info-correct">0</span>
+              <span class="pp-info-verify-label">CORRECT</span>
+            </div>
+            <div class="pp-info-verify-item pp-verify-wrong">
+              <span class="pp-info-verify-value" id="patplacer-info-wrong">0</span>
+              <span class="pp-info-verify-label">WRONG</span>
+            </div>
+            <div class="pp-info-verify-item pp-verify-missing">
+              <span class="pp-info-verify-value" id="patplacer-info-missing">0</span>
+              <span class="pp-info-verify-label">MISSING</span>
+            </div>
           </div>
         </div>
       </div>
@@ -1249,11 +2648,15 @@
           <div class="pp-section-title">
             <img src="${iconBase}folder.png" class="pp-section-icon" alt="">Project
           </div>
+          <div class="pp-project-name" id="patplacer-project-name">Untitled</div>
           <div class="pp-btn-row">
+            <button class="pp-btn pp-btn-small" id="patplacer-library-btn"><img src="${iconBase}folder.png" class="pp-btn-icon" alt=""> Library</button>
             <button class="pp-btn pp-btn-small" id="patplacer-save-btn"><img src="${iconBase}save.png" class="pp-btn-icon" alt=""> Export</button>
+            <button class="pp-btn pp-btn-small" id="patplacer-save-compact-btn" title="Export as a compressed .ppz file (smaller for large artworks)"><img src="${iconBase}save.png" class="pp-btn-icon" alt=""> Compact</button>
             <button class="pp-btn pp-btn-small" id="patplacer-load-btn"><img src="${iconBase}folder.png" class="pp-btn-icon" alt=""> Import</button>
+            <button class="pp-btn pp-btn-small" id="patplacer-share-btn" title="Share as a string to paste in chat, or load one"><img src="${iconBase}chain.png" class="pp-btn-icon" alt=""> Share</button>
           </div>
-          <input type="file" id="patplacer-import-input" accept=".json" style="display: none;">
+          <input type="file" id="patplacer-import-input" accept=".json,.ppz" style="display: none;">
           <div id="patplacer-autosave-row" style="display: none; margin-top: 6px;">
             <div class="pp-btn-row">
               <button class="pp-btn pp-btn-small pp-btn-warning" id="patplacer-restore-btn"><img src="${iconBase}potion.png" class="pp-btn-icon" alt=""> Restore</button>
@@ -1262,6 +2665,15 @@
           </div>
         </div>
 
+        <!-- Templates Section -->
+        <div class="pp-section">
+          <div class="pp-section-title">
+            <img src="${iconBase}chain.png" class="pp-section-icon" alt="">Templates
+            <button class="pp-btn pp-btn-small pp-title-btn" id="patplacer-template-add" title="Add another template">+ New</button>
+          </div>
+          <div class="pp-template-list" id="patplacer-templates-list"></div>
+        </div>
+
         <!-- Image Section -->
         <div class="pp-section">
           <div class="pp-section-title">
@@ -1287,6 +2699,9 @@
               <div class="pp-upload-actions">
                 <button class="pp-btn pp-btn-small" id="patplacer-change-image"><img src="${iconBase}gear.png" class="pp-btn-icon" alt=""> Change</button>
                 <button class="pp-btn pp-btn-small pp-btn-primary" id="patplacer-process-btn"><img src="${iconBase}gear-pixel.png" class="pp-btn-icon" alt=""> Process</button>
+                <button class="pp-btn pp-btn-small" id="patplacer-edit-btn" title="Touch up the processed pixels"><img src="${iconBase}pen.png" class="pp-btn-icon" alt=""> Edit</button>
+                <button class="pp-btn pp-btn-small" id="patplacer-colors-btn" title="Color usage - replace, swap or remove colors"><img src="${iconBase}palette.png" class="pp-btn-icon" alt=""> Colors</button>
+                <button class="pp-btn pp-btn-small" id="patplacer-png-btn" title="Export the processed image as a PNG with the anchor embedded"><img src="${iconBase}save.png" class="pp-btn-icon" alt=""> PNG</button>
               </div>
             </div>
           </div>
@@ -1309,13 +2724,39 @@
           </div>
           <div class="pp-anchor-buttons">
             <button class="pp-btn" id="patplacer-capture-btn"><img src="${iconBase}location.png" class="pp-btn-icon" alt=""> Set Anchor</button>
+            <button class="pp-btn" id="patplacer-coords-btn" title="Type coordinates or paste a wplace link"><img src="${iconBase}ruler-pixel.png" class="pp-btn-icon" alt=""> Coords</button>
             <button class="pp-btn" id="patplacer-move-btn" style="display: none;" title="Move Artwork (WASD)"><img src="${iconBase}location.png" class="pp-btn-icon" alt=""> Move</button>
+            <button class="pp-btn" id="patplacer-guard-btn" style="display: none;" title="Guard finished art"><img src="${iconBase}sword.png" class="pp-btn-icon" alt=""> Guard</button>
           </div>
           <div class="pp-info pp-blink" id="patplacer-capture-hint" style="display: none; margin-top: 6px; text-align: center;">
             Draw a pixel on the map...
           </div>
         </div>
 
+        <!-- Overlay Section -->
+        <div class="pp-section">
+          <div class="pp-section-title">
+            <img src="${iconBase}target.png" class="pp-section-icon" alt="">Overlay
+          </div>
+          <select id="patplacer-overlay-mode" class="pp-select">
+            <option value="off">Off</option>
+            <option value="template">Template - every pixel</option>
+            <option value="diff">Diff - wrong pixels only</option>
+            <option value="draft" disabled>Drafts (after placing)</option>
+            <option value="guard" disabled>Guard (damage)</option>
+          </select>
+          <select id="patplacer-overlay-style" class="pp-select" style="margin-top: 6px;" title="Overlay style">
+            <option value="fill">Style: Full pixels</option>
+            <option value="dot">Style: Dots</option>
+            <option value="symbol">Style: Symbols per color</option>
+            <option value="checker">Style: Checkerboard</option>
+          </select>
+          <div class="pp-toggle-row pp-toggle-inline" id="patplacer-diff-markers-row" style="display: none; margin-top: 6px;">
+            <span class="pp-toggle-label">Show as bright markers</span>
+            <input type="checkbox" id="patplacer-diff-markers" class="pp-checkbox">
+          </div>
+        </div>
+
         <!-- Placement Section -->
         <div class="pp-section pp-section-placement">
           <div class="pp-section-title">
@@ -1332,6 +2773,27 @@
             <button class="pp-btn pp-btn-small" id="patplacer-refresh-charges" style="margin-left: 8px; padding: 4px 6px;">↻</button>
           </div>
           
+          <div class="pp-form-group pp-order-group">
+            <label class="pp-label" for="patplacer-order-select">Order</label>
+            <select id="patplacer-order-select" class="pp-select">
+              <option value="raster" selected>Row by row</option>
+              <option value="outline">Outline first</option>
+              <option value="color">By color (one per batch)</option>
+              <option value="spiral">Spiral from centre</option>
+              <option value="random">Random scatter</option>
+              <option value="tile">Tile by tile</option>
+              <option value="visible">Most visible first</option>
+            </select>
+          </div>
+          
+          <div class="pp-form-group pp-order-group">
+            <label class="pp-label" for="patplacer-batch-target">Target</label>
+            <select id="patplacer-batch-target" class="pp-select">
+              <option value="active" selected>Active template</option>
+              <option value="all">All templates by priority</option>
+            </select>
+          </div>
+          
           <button class="pp-btn pp-btn-primary" id="patplacer-place-btn" disabled>
             <img src="${iconBase}games.png" class="pp-btn-icon" alt=""> <span id="patplacer-btn-text">Place Batch</span>
           </button>
@@ -1349,7 +2811,10 @@
   
   function setupPanelEvents(panel) {
     // Storage events
+    panel.querySelector('#patplacer-library-btn').addEventListener('click', showLibraryPanel);
     panel.querySelector('#patplacer-save-btn').addEventListener('click', () => PatPlacerStorage.exportToFile());
+    panel.querySelector('#patplacer-save-compact-btn').addEventListener('click', () => PatPlacerStorage.exportToFile({ compact: true }));
+    panel.querySelector('#patplacer-share-btn').addEventListener('click', showSharePanel);
     panel.querySelector('#patplacer-load-btn').addEventListener('click', () => panel.querySelector('#patplacer-import-input').click());
     panel.querySelector('#patplacer-import-input').addEventListener('change', (e) => {
       if (e.target.files.length > 0) PatPlacerStorage.importFromFile(e.target.files[0]);
@@ -1359,9 +2824,10 @@
         panel.querySelector('#patplacer-autosave-row').style.display = 'none';
       }
     });
-    panel.querySelector('#patplacer-clear-save-btn').addEventListener('click', () => {
-      PatPlacerStorage.clearAutosave();
-      panel.querySelector('#patplacer-autosave-row').style.display = 'none';
+    panel.querySelector('#patplacer-clear-save-btn').addEventListener('click', async () => {
+      if (await PatPlacerStorage.clearAutosave()) {
+        panel.querySelector('#patplacer-autosave-row').style.display = 'none';
+      }
     });
 
     // Close button
@@ -1409,16 +2875,85 @@
     
     // Process button (opens processing panel)
     panel.querySelector('#patplacer-process-btn').addEventListener('click', showProcessingPanel);
+    
+    // Edit button (opens pixel editor)
+    panel.querySelector('#patplacer-edit-btn').addEventListener('click', showPixelEditor);
+    
+    // Colors button (usage table / remapping)
+    panel.querySelector('#patplacer-colors-btn').addEventListener('click', showColorRemapPanel);
+    
+    // PNG button (indexed PNG export)
+    panel.querySelector('#patplacer-png-btn').addEventListener('click', () => PatPlacerStorage.exportToPNG());
 
     // Capture anchor button
     panel.querySelector('#patplacer-capture-btn').addEventListener('click', startDraftCapture);
     
     // Move artwork button
     panel.querySelector('#patplacer-move-btn').addEventListener('click', showMoveArtworkPanel);
+    
+    // Palette planner button
+    panel.querySelector('#patplacer-planner-btn').addEventListener('click', showPalettePlanner);
+    
+    // Coordinates button (typed anchor / wplace links)
+    panel.querySelector('#patplacer-coords-btn').addEventListener('click', showAnchorCoordsPanel);
+    
+    // Guard button
+    panel.querySelector('#patplacer-guard-btn').addEventListener('click', showGuardPanel);
 
     // Refresh charges button
     panel.querySelector('#patplacer-refresh-charges').addEventListener('click', fetchCharges);
 
+    // Overlay mode
+    panel.querySelector('#patplacer-overlay-mode').addEventListener('change', (e) => setOverlayMode(e.target.value));
+    const styleSelect = panel.querySelector('#patplacer-overlay-style');
+    styleSelect.value = state.overlayStyle;
+    styleSelect.addEventListener('change', (e) => {
+      state.overlayStyle = e.target.value;
+      refreshOverlay();
+      if (state.allPixels.length > 0) PatPlacerStorage.saveToLocal();
+    });
+    panel.querySelector('#patplacer-diff-markers').addEventListener('change', (e) => {
+      state.diffMarkers = e.target.checked;
+      if (state.diffOverlayEnabled) setTimeout(triggerMapRefresh, 100);
+    });
+
+    // Placement order
+    const orderSelect = panel.querySelector('#patplacer-order-select');
+    orderSelect.value = state.placementStrategy;
+    orderSelect.addEventListener('change', (e) => setPlacementStrategy(e.target.value));
+
+    // Batch target
+    const targetSelect = panel.querySelector('#patplacer-batch-target');
+    targetSelect.value = state.batchTarget;
+    targetSelect.addEventListener('change', (e) => {
+      state.batchTarget = e.target.value;
+      updateBatchUI();
+      updatePlaceButtonState();
+    });
+
+    // Templates
+    panel.querySelector('#patplacer-template-add').addEventListener('click', addTemplate);
+    const templatesList = panel.querySelector('#patplacer-templates-list');
+    templatesList.addEventListener('click', (e) => {
+      const item = e.target.closest('.pp-template-item');
+      const actionEl = e.target.closest('[data-action]');
+      if (!item || !actionEl) return;
+      const id = item.dataset.templateId;
+      switch (actionEl.dataset.action) {
+        case 'activate': activateTemplate(id); break;
+        case 'up': moveTemplate(id, -1); break;
+        case 'down': moveTemplate(id, 1); break;
+        case 'remove': removeTemplate(id); break;
+      }
+    });
+    templatesList.addEventListener('change', (e) => {
+      const item = e.target.closest('.pp-template-item');
+      if (!item) return;
+      if (e.target.dataset.action === 'visible') setTemplateVisible(item.dataset.templateId, e.target.checked);
+      if (e.target.dataset.action === 'opacity') setTemplateOpacity(item.dataset.templateId, e.target.value / 100);
+    });
+    updateTemplatesList();
+
     // Place drafts button
     panel.querySelector('#patplacer-place-btn').addEventListener('click', placeNextBatch);
   }
@@ -1449,6 +2984,42 @@
     });
   }
 
+  /**
+   * Drag a floating panel by its .pp-move-header
+   * @returns {Function} - Removes the document listeners (call when the panel closes)
+   */
+  function makePanelDraggable(panel) {
+    const header = panel.querySelector('.pp-move-header');
+    let isDragging = false;
+    let offsetX, offsetY;
+    
+    const onMouseMove = (e) => {
+      if (!isDragging) return;
+      panel.style.left = `${e.clientX - offsetX}px`;
+      panel.style.top = `${e.clientY - offsetY}px`;
+      panel.style.transform = 'none';
+    };
+    const onMouseUp = () => {
+      isDragging = false;
+      panel.style.cursor = '';
+    };
+    
+    header.addEventListener('mousedown', (e) => {
+      if (e.target.closest('.pp-move-close')) return;
+      isDragging = true;
+      offsetX = e.clientX - panel.offsetLeft;
+      offsetY = e.clientY - panel.offsetTop;
+      panel.style.cursor = 'grabbing';
+    });
+    document.addEventListener('mousemove', onMouseMove);
+    document.addEventListener('mouseup', onMouseUp);
+    
+    return () => {
+      document.removeEventListener('mousemove', onMouseMove);
+      document.removeEventListener('mouseup', onMouseUp);
+    };
+  }
+
   function showPanel() {
     const panel = document.getElementById(CONFIG.PANEL_ID) || createPanel();
     panel.style.display = 'block';
@@ -1592,6 +3163,8 @@
         processPlacedPixelsIntoChunks().then(() => {
           triggerMapRefresh();
         });
+      } else if (state.diffOverlayEnabled) {
+        triggerMapRefresh();
       }
     }
     
@@ -1657,20 +3230,1861 @@
         moveKeyupHandler = null;
       }
       
-      // Remove panel
-      if (movePanel.parentNode) {
-        movePanel.parentNode.removeChild(movePanel);
-      }
+      // Remove panel
+      if (movePanel.parentNode) {
+        movePanel.parentNode.removeChild(movePanel);
+      }
+    }
+    
+    document.getElementById('patplacer-move-close').addEventListener('click', closeMovePanel);
+  }
+
+  // Escape user-provided text (project and preset names) for innerHTML
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+  }
+
+  // Format large numbers with K/M suffix
+  function formatNumber(num) {
+    if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
+    if (num >= 1000) return (num / 1000).toFixed(1) + 'K';
+    return num.toString();
+  }
+
+  // ============================================================
+  // GUARD MODE
+  // ============================================================
+  // Tile verification marks finished pixels that changed as OVERWRITTEN or
+  // MISSING. Guard mode highlights them on the map and makes batches repair
+  // only those pixels; every repair still needs the normal manual confirm.
+  let guardPanelOpen = false;
+  
+  /**
+   * Add a verification result to the damage history
+   * @param {string} tileKey - "tileX,tileY"
+   * @param {Object} result - verifyTile result
+   */
+  function recordDamage(tileKey, result) {
+    if (!appendDamageHistory(tileKey, result)) return;
+    
+    if (result.damaged > 0) {
+      console.warn(`[PatPlacer] Damage detected: ${result.damaged} pixels in tile (${tileKey})`);
+      if (state.guardEnabled) updateStatus(`🛡 Guard: ${result.damaged} pixels damaged in tile (${tileKey})`);
+    }
+    
+    if (state.guardEnabled) refreshGuardOverlay();
+    updateGuardPanel();
+  }
+  
+  /**
+   * Add a history entry without touching the UI (also used for background templates)
+   * @returns {boolean} - Whether anything was recorded
+   */
+  function appendDamageHistory(tileKey, result) {
+    if (result.damaged === 0 && result.repaired === 0) return false;
+    
+    state.damageHistory.push({
+      time: Date.now(),
+      tile: tileKey,
+      damaged: result.damaged,
+      repaired: result.repaired
+    });
+    if (state.damageHistory.length > CONFIG.DAMAGE_HISTORY_LIMIT) {
+      state.damageHistory.splice(0, state.damageHistory.length - CONFIG.DAMAGE_HISTORY_LIMIT);
+    }
+    return true;
+  }
+  
+  /**
+   * Whether a loaded history entry has the shape appendDamageHistory writes
+   */
+  function isDamageHistoryEntry(entry) {
+    return !!entry && typeof entry === 'object' &&
+      Number.isFinite(entry.time) && Number.isFinite(entry.damaged) && Number.isFinite(entry.repaired) &&
+      typeof entry.tile === 'string' && /^\d+,\d+$/.test(entry.tile);
+  }
+  
+  /**
+   * Keep the well-formed entries of a loaded damage history, copying only known fields
+   */
+  function sanitizeDamageHistory(history) {
+    if (!Array.isArray(history)) return [];
+    return history
+      .filter(isDamageHistoryEntry)
+      .slice(-CONFIG.DAMAGE_HISTORY_LIMIT)
+      .map(({ time, tile, damaged, repaired }) => ({ time, tile, damaged, repaired }));
+  }
+  
+  /**
+   * Count damaged pixels per tile
+   * @returns {Array} - [{tile, overwritten, missing}] most damaged first
+   */
+  function getDamageByTile() {
+    const tiles = [];
+    if (!state.anchorSet || !state.pixelStatus) return tiles;
+    
+    for (const [tileKey, indices] of getTilePixelIndices()) {
+      let overwritten = 0, missing = 0;
+      for (const index of indices) {
+        const status = state.pixelStatus[index];
+        if (status === PIXEL_STATUS.OVERWRITTEN) overwritten++;
+        else if (status === PIXEL_STATUS.MISSING) missing++;
+      }
+      if (overwritten + missing > 0) tiles.push({ tile: tileKey, overwritten, missing });
+    }
+    
+    return tiles.sort((a, b) => (b.overwritten + b.missing) - (a.overwritten + a.missing));
+  }
+  
+  function setGuardEnabled(enabled) {
+    if (enabled && (!state.anchorSet || state.allPixels.length === 0)) {
+      updateStatus('Load a project and set anchor before guarding');
+      return;
+    }
+    
+    state.guardEnabled = enabled;
+    installFetchInterceptor();
+    
+    if (enabled) {
+      // Guard overlay replaces the template so damage stands out
+      state.templateOverlayEnabled = false;
+      refreshGuardOverlay();
+      updateStatus(`🛡 Guard ON - ${getDamagedCount()} damaged pixels`);
+    } else {
+      if (state.guardOverlayEnabled) disableOverlay();
+      updateStatus('Guard OFF');
+    }
+    
+    updatePlaceButtonState();
+    updateGuardPanel();
+  }
+  
+  /**
+   * Redraw the guard overlay from the current damaged pixels
+   * Drafts take priority - the guard overlay returns after they are confirmed
+   */
+  async function refreshGuardOverlay() {
+    if (!state.guardEnabled || state.draftOverlayEnabled || state.diffOverlayEnabled || !state.anchorSet) return;
+    
+    const damaged = state.allPixels.filter((p, i) => isStatusDamaged(state.pixelStatus[i]));
+    state.guardOverlayEnabled = true;
+    state.overlayMode = 'guard';
+    updateOverlayControls();
+    await processPixelsIntoChunks(damaged, CONFIG.HIGHLIGHT_COLOR);
+    setTimeout(triggerMapRefresh, 200);
+  }
+  
+  function showGuardPanel() {
+    if (!state.anchorSet) {
+      updateStatus('Set anchor first before guarding');
+      return;
+    }
+    
+    // Check if panel already exists
+    if (document.getElementById('patplacer-guard-panel')) {
+      return;
+    }
+    
+    guardPanelOpen = true;
+    
+    const guardPanel = document.createElement('div');
+    guardPanel.id = 'patplacer-guard-panel';
+    guardPanel.className = 'pp-move-panel pp-guard-panel';
+    
+    guardPanel.innerHTML = `
+      <div class="pp-move-header">
+        <span class="pp-move-title">Guard</span>
+        <button class="pp-move-close" id="patplacer-guard-close">✕</button>
+      </div>
+      <div class="pp-move-body">
+        <button class="pp-btn pp-btn-small" id="pp-guard-toggle">Start Guard</button>
+        <div class="pp-guard-summary" id="pp-guard-summary"></div>
+        <div class="pp-guard-heading">Damaged Tiles</div>
+        <div class="pp-guard-list" id="pp-guard-tiles"></div>
+        <div class="pp-guard-heading">
+          History
+          <button class="pp-guard-clear" id="pp-guard-clear-history" title="Clear history">✕</button>
+        </div>
+        <div class="pp-guard-timeline" id="pp-guard-timeline"></div>
+        <div class="pp-guard-list" id="pp-guard-history"></div>
+      </div>
+    `;
+    
+    document.body.appendChild(guardPanel);
+    
+    const stopDragging = makePanelDraggable(guardPanel);
+    
+    document.getElementById('pp-guard-toggle').addEventListener('click', () => setGuardEnabled(!state.guardEnabled));
+    document.getElementById('pp-guard-clear-history').addEventListener('click', () => {
+      state.damageHistory = [];
+      updateGuardPanel();
+      PatPlacerStorage.saveToLocal();
+    });
+    
+    document.getElementById('patplacer-guard-close').addEventListener('click', () => {
+      guardPanelOpen = false;
+      stopDragging();
+      if (guardPanel.parentNode) {
+        guardPanel.parentNode.removeChild(guardPanel);
+      }
+    });
+    
+    updateGuardPanel();
+  }
+  
+  function updateGuardPanel() {
+    if (!guardPanelOpen) return;
+    
+    const toggleBtn = document.getElementById('pp-guard-toggle');
+    const summaryEl = document.getElementById('pp-guard-summary');
+    const tilesEl = document.getElementById('pp-guard-tiles');
+    const timelineEl = document.getElementById('pp-guard-timeline');
+    const historyEl = document.getElementById('pp-guard-history');
+    if (!toggleBtn) return;
+    
+    toggleBtn.textContent = state.guardEnabled ? '🛡 Stop Guard' : 'Start Guard';
+    toggleBtn.classList.toggle('pp-btn-warning', state.guardEnabled);
+    
+    const overwritten = state.statusCounts ? state.statusCounts[PIXEL_STATUS.OVERWRITTEN] : 0;
+    const missing = state.statusCounts ? state.statusCounts[PIXEL_STATUS.MISSING] : 0;
+    summaryEl.textContent = `${overwritten} overwritten · ${missing} missing`;
+    
+    const tiles = getDamageByTile();
+    tilesEl.innerHTML = tiles.length === 0
+      ? '<div class="pp-guard-empty">No damage</div>'
+      : tiles.map(t => `
+        <div class="pp-guard-row">
+          <span>Tile (${t.tile})</span>
+          <span class="pp-guard-damaged">${t.overwritten + t.missing}</span>
+        </div>`).join('');
+    
+    // Timeline: damaged pixels per hour over the last 24h
+    const hourMs = 60 * 60 * 1000;
+    const now = Date.now();
+    const buckets = new Array(24).fill(0);
+    for (const entry of state.damageHistory) {
+      const age = Math.floor((now - entry.time) / hourMs);
+      if (age >= 0 && age < 24) buckets[23 - age] += entry.damaged;
+    }
+    const peak = Math.max(1, ...buckets);
+    timelineEl.innerHTML = buckets.map((count, i) =>
+      `<div class="pp-guard-bar" style="height: ${Math.round((count / peak) * 100)}%;" title="${23 - i}h ago: ${count} damaged"></div>`
+    ).join('');
+    
+    // History comes from project files, so rows are built as text nodes
+    const recent = state.damageHistory.slice(-20).reverse();
+    if (recent.length === 0) {
+      historyEl.innerHTML = '<div class="pp-guard-empty">No events</div>';
+      return;
+    }
+    historyEl.replaceChildren(...recent.map(entry => {
+      const row = document.createElement('div');
+      row.className = 'pp-guard-row';
+      const where = document.createElement('span');
+      where.textContent = `${new Date(entry.time).toLocaleTimeString()} · (${entry.tile})`;
+      const counts = document.createElement('span');
+      const addCount = (className, text) => {
+        const count = document.createElement('span');
+        count.className = className;
+        count.textContent = text;
+        if (counts.childNodes.length > 0) counts.append(' ');
+        counts.append(count);
+      };
+      if (entry.damaged > 0) addCount('pp-guard-damaged', `-${entry.damaged}`);
+      if (entry.repaired > 0) addCount('pp-guard-repaired', `+${entry.repaired}`);
+      row.append(where, counts);
+      return row;
+    }));
+  }
+
+  // ============================================================
+  // PROJECT LIBRARY PANEL
+  // ============================================================
+  let libraryPanelOpen = false;
+  
+  function showLibraryPanel() {
+    if (document.getElementById('patplacer-library-panel')) {
+      return;
+    }
+    
+    libraryPanelOpen = true;
+    
+    const libraryPanel = document.createElement('div');
+    libraryPanel.id = 'patplacer-library-panel';
+    libraryPanel.className = 'pp-move-panel pp-library-panel';
+    
+    libraryPanel.innerHTML = `
+      <div class="pp-move-header">
+        <span class="pp-move-title">Projects</span>
+        <button class="pp-move-close" id="patplacer-library-close">✕</button>
+      </div>
+      <div class="pp-move-body">
+        <div class="pp-library-list" id="pp-library-list"></div>
+        <button class="pp-btn pp-btn-small" id="pp-library-save-new">Save Current As New</button>
+      </div>
+    `;
+    
+    document.body.appendChild(libraryPanel);
+    
+    const stopDragging = makePanelDraggable(libraryPanel);
+    
+    // Row actions (event delegation - rows are re-rendered)
+    document.getElementById('pp-library-list').addEventListener('click', async (e) => {
+      const btn = e.target.closest('[data-action]');
+      if (!btn) return;
+      const id = btn.closest('[data-project-id]').dataset.projectId;
+      try {
+        await handleLibraryAction(btn.dataset.action, id);
+      } catch (err) {
+        console.error('[PatPlacer] Library action failed:', err);
+        updateStatus('Project library error: ' + err.message);
+      }
+      updateLibraryPanel();
+    });
+    
+    document.getElementById('pp-library-save-new').addEventListener('click', async () => {
+      if (state.allPixels.length === 0) {
+        updateStatus('Nothing to save - load an image first');
+        return;
+      }
+      const name = prompt('Project name', state.projectName);
+      if (name === null) return;
+      state.projectName = name.trim() || 'Untitled';
+      const record = await PatPlacerStorage.createProject(state.projectName, PatPlacerStorage.serializeState(state.projectName));
+      updateStatus(`Saved as new project "${record.name}"`);
+      updateLibraryPanel();
+    });
+    
+    document.getElementById('patplacer-library-close').addEventListener('click', () => {
+      libraryPanelOpen = false;
+      stopDragging();
+      if (libraryPanel.parentNode) {
+        libraryPanel.parentNode.removeChild(libraryPanel);
+      }
+    });
+    
+    updateLibraryPanel();
+  }
+  
+  async function handleLibraryAction(action, id) {
+    switch (action) {
+      case 'open': {
+        if (id === state.projectId) return;
+        // Keep the current project's progress before switching
+        if (state.allPixels.length > 0) await PatPlacerStorage.saveToLocal();
+        if (await PatPlacerLibrary.open(id)) {
+          const autosaveRow = document.getElementById('patplacer-autosave-row');
+          if (autosaveRow) autosaveRow.style.display = 'none';
+        }
+        break;
+      }
+      case 'rename': {
+        const record = await PatPlacerLibrary.get(id);
+        const name = prompt('Rename project', record ? record.name : '');
+        if (name && name.trim()) await PatPlacerLibrary.rename(id, name.trim());
+        break;
+      }
+      case 'duplicate': {
+        const copy = await PatPlacerLibrary.duplicate(id);
+        if (copy) updateStatus(`Duplicated as "${copy.name}"`);
+        break;
+      }
+      case 'delete': {
+        const record = await PatPlacerLibrary.get(id);
+        if (record && confirm(`Delete project "${record.name}"? This cannot be undone.`)) {
+          await PatPlacerLibrary.remove(id);
+          updateStatus(`Deleted project "${record.name}"`);
+        }
+        break;
+      }
+    }
+  }
+  
+  async function updateLibraryPanel() {
+    const nameEl = document.getElementById('patplacer-project-name');
+    if (nameEl) nameEl.textContent = state.projectName + (state.projectId ? '' : ' (unsaved)');
+    updateTemplatesList();
+    
+    if (!libraryPanelOpen) return;
+    const listEl = document.getElementById('pp-library-list');
+    if (!listEl) return;
+    
+    let projects;
+    try {
+      projects = await PatPlacerLibrary.list();
+    } catch (e) {
+      listEl.innerHTML = '<div class="pp-guard-empty">Project library unavailable</div>';
+      return;
+    }
+    
+    if (projects.length === 0) {
+      listEl.innerHTML = '<div class="pp-guard-empty">No saved projects</div>';
+      return;
+    }
+    
+    listEl.innerHTML = projects.map(p => {
+      const percent = p.pixelCount > 0 ? Math.round((p.placedCount / p.pixelCount) * 100) : 0;
+      const anchor = p.anchor
+        ? `T(${p.anchor.tile.x}, ${p.anchor.tile.y}) P(${p.anchor.pixel.x}, ${p.anchor.pixel.y})`
+        : 'No anchor';
+      const active = p.id === state.projectId ? ' pp-library-active' : '';
+      return `
+        <div class="pp-library-item${active}" data-project-id="${p.id}">
+          <div class="pp-library-thumb">${p.thumbnail ? `<img src="${p.thumbnail}" alt="">` : ''}</div>
+          <div class="pp-library-info">
+            <div class="pp-library-name">${escapeHtml(p.name)}</div>
+            <div class="pp-library-meta">${p.width}×${p.height} · ${formatNumber(p.pixelCount)} px · ${percent}%</div>
+            <div class="pp-library-meta">${anchor}</div>
+            <div class="pp-library-meta">${new Date(p.updatedAt).toLocaleString()}</div>
+            <div class="pp-library-actions">
+              <button data-action="open" title="Open">Open</button>
+              <button data-action="rename" title="Rename">Rename</button>
+              <button data-action="duplicate" title="Duplicate">Copy</button>
+              <button data-action="delete" title="Delete">✕</button>
+            </div>
+          </div>
+        </div>`;
+    }).join('');
+  }
+
+  // ============================================================
+  // SHARE PANEL
+  // ============================================================
+  function showSharePanel() {
+    if (document.getElementById('patplacer-share-panel')) {
+      return;
+    }
+    
+    const sharePanel = document.createElement('div');
+    sharePanel.id = 'patplacer-share-panel';
+    sharePanel.className = 'pp-move-panel pp-share-panel';
+    
+    sharePanel.innerHTML = `
+      <div class="pp-move-header">
+        <span class="pp-move-title">Share</span>
+        <button class="pp-move-close" id="patplacer-share-close">✕</button>
+      </div>
+      <div class="pp-move-body">
+        <div class="pp-share-heading">This project</div>
+        <textarea class="pp-input pp-share-text" id="pp-share-output" readonly placeholder="Load an image to share it"></textarea>
+        <div class="pp-share-size" id="pp-share-size"></div>
+        <div class="pp-btn-row">
+          <button class="pp-btn pp-btn-small pp-btn-primary" id="pp-share-copy" disabled>Copy</button>
+          <button class="pp-btn pp-btn-small" id="pp-share-export" title="Too long for chat? Send the file instead">Export File</button>
+        </div>
+        <div class="pp-share-heading">Load a shared project</div>
+        <textarea class="pp-input pp-share-text" id="pp-share-input" placeholder="Paste a ${PatPlacerShare.PREFIX}... string"></textarea>
+        <button class="pp-btn pp-btn-small" id="pp-share-load">Load</button>
+      </div>
+    `;
+    
+    document.body.appendChild(sharePanel);
+    
+    const stopDragging = makePanelDraggable(sharePanel);
+    
+    const output = document.getElementById('pp-share-output');
+    const sizeEl = document.getElementById('pp-share-size');
+    const copyBtn = document.getElementById('pp-share-copy');
+    
+    // Build the string for the current project
+    if (state.allPixels.length > 0) {
+      sizeEl.textContent = 'Encoding...';
+      PatPlacerShare.encode(PatPlacerStorage.serializeState()).then(text => {
+        const length = text.length;
+        if (length > CONFIG.SHARE_MAX_LENGTH) {
+          sizeEl.textContent = `${formatNumber(length)} characters - too long to paste in chat. Use Export File instead.`;
+          sizeEl.classList.add('pp-share-too-big');
+          return;
+        }
+        output.value = text;
+        copyBtn.disabled = false;
+        sizeEl.textContent = `${formatNumber(length)} characters (~${(length / 1024).toFixed(1)} KB)`;
+      }).catch(err => {
+        console.error('[PatPlacer] Share encoding failed:', err);
+        sizeEl.textContent = `Can't share this project: ${err.message}. Use Export File instead.`;
+        sizeEl.classList.add('pp-share-too-big');
+      });
+    }
+    
+    copyBtn.addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText(output.value);
+        updateStatus('Share string copied to clipboard');
+      } catch (err) {
+        output.select();
+      }
+    });
+    
+    document.getElementById('pp-share-export').addEventListener('click', () => PatPlacerStorage.exportToFile({ compact: true }));
+    
+    document.getElementById('pp-share-load').addEventListener('click', async () => {
+      const input = document.getElementById('pp-share-input');
+      if (!input.value.trim()) return;
+      try {
+        const data = await PatPlacerShare.decode(input.value);
+        await PatPlacerStorage.loadAsNewProject(data, 'Shared project');
+        input.value = '';
+      } catch (err) {
+        console.error('[PatPlacer] Loading share string failed:', err);
+        updateStatus(`Error loading shared project: ${err.message}`);
+      }
+    });
+    
+    document.getElementById('patplacer-share-close').addEventListener('click', () => {
+      stopDragging();
+      if (sharePanel.parentNode) {
+        sharePanel.parentNode.removeChild(sharePanel);
+      }
+    });
+  }
+
+  // ============================================================
+  // TEMPLATES
+  // ============================================================
+  // Per-template fields. The active template keeps these directly in state so
+  // all existing code works unchanged; the others are stored as snapshots
+  // with the same field names and swapped in when needed.
+  const TEMPLATE_FIELDS = [
+    'projectId', 'projectName',
+    'originalImageLoaded', 'originalBitmap', 'originalBlob', 'originalWidth', 'originalHeight',
+    'imageLoaded', 'imageBitmap', 'imageData', 'imageWidth', 'imageHeight', 'workflowStage',
+    'anchorSet', 'anchorTile', 'anchorPixel', 'savedAnchor',
+    'templateOverlayOpacity', 'templateVisible',
+    'allPixels', 'placedPixels', 'pixelStatus', 'repairDrafts', 'pixelIndex', 'placedCount', 'statusCounts',
+    'pendingSkippedCount', 'placementStrategy', 'placementSeed', 'placementOrder', 'placementOrderKey',
+    'tilePixelIndices', 'tilePixelIndicesKey', 'damageHistory'
+  ];
+  
+  function createEmptyTemplate() {
+    return {
+      id: `t${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      chunkedTiles: new Map(),
+      projectId: null,
+      projectName: 'Untitled',
+      originalImageLoaded: false,
+      originalBitmap: null,
+      originalBlob: null,
+      originalWidth: 0,
+      originalHeight: 0,
+      imageLoaded: false,
+      imageBitmap: null,
+      imageData: null,
+      imageWidth: 0,
+      imageHeight: 0,
+      workflowStage: 'upload',
+      anchorSet: false,
+      anchorTile: null,
+      anchorPixel: null,
+      savedAnchor: null,
+      templateOverlayOpacity: CONFIG.DEFAULT_OPACITY,
+      templateVisible: true,
+      allPixels: [],
+      placedPixels: [],
+      pixelStatus: null,
+      repairDrafts: new Map(),
+      pixelIndex: null,
+      placedCount: 0,
+      statusCounts: null,
+      pendingSkippedCount: 0,
+      placementStrategy: 'raster',
+      placementSeed: 1,
+      placementOrder: null,
+      placementOrderKey: null,
+      tilePixelIndices: null,
+      tilePixelIndicesKey: null,
+      damageHistory: [],
+      processing: copyProcessingSettings(DEFAULT_PROCESSING_SETTINGS)
+    };
+  }
+  
+  // Wrap whatever is in state as the first template
+  function ensureTemplates() {
+    if (state.templates.length > 0) return;
+    const template = createEmptyTemplate();
+    state.templates.push(template);
+    state.activeTemplateId = template.id;
+    stashActiveTemplate();
+  }
+  
+  function getActiveTemplate() {
+    return state.templates.find(t => t.id === state.activeTemplateId) || null;
+  }
+  
+  // Copy the active template's fields from state into its snapshot
+  function stashActiveTemplate() {
+    const active = getActiveTemplate();
+    if (!active) return;
+    for (const field of TEMPLATE_FIELDS) active[field] = state[field];
+    // Processing settings live outside state but belong to the template's image
+    active.processing = copyProcessingSettings();
+  }
+  
+  function loadTemplateFields(template) {
+    for (const field of TEMPLATE_FIELDS) state[field] = template[field];
+    Object.assign(processingSettings, copyProcessingSettings(template.processing || DEFAULT_PROCESSING_SETTINGS));
+  }
+  
+  /**
+   * Run a synchronous function with another template swapped into state
+   * @param {Object} template
+   * @param {Function} fn
+   * @returns {*} - fn's return value
+   */
+  function withTemplateState(template, fn) {
+    if (template.id === state.activeTemplateId) return fn();
+    
+    stashActiveTemplate();
+    loadTemplateFields(template);
+    try {
+      return fn();
+    } finally {
+      for (const field of TEMPLATE_FIELDS) template[field] = state[field];
+      loadTemplateFields(getActiveTemplate());
+    }
+  }
+  
+  function getBackgroundTemplates() {
+    return state.templates.filter(t => t.id !== state.activeTemplateId);
+  }
+  
+  // Save a background template's progress to its library project
+  async function saveTemplateProject(template) {
+    const projectId = template.projectId;
+    if (!projectId) return;
+    const data = withTemplateState(template, () => PatPlacerStorage.serializeState());
+    try {
+      await PatPlacerStorage.enqueueSave(() => PatPlacerLibrary.update(projectId, data));
+    } catch (e) {
+      console.warn('[PatPlacer] Could not save template project', e);
+    }
+  }
+  
+  function addTemplate() {
+    if (state.isPlacing) return;
+    stashActiveTemplate();
+    const template = createEmptyTemplate();
+    state.templates.push(template);
+    activateTemplate(template.id);
+    updateStatus('New template added - upload an image or open a project from the library');
+  }
+  
+  function activateTemplate(id) {
+    if (state.isPlacing || id === state.activeTemplateId) return;
+    const template = state.templates.find(t => t.id === id);
+    if (!template) return;
+    
+    stashActiveTemplate();
+    const previous = getActiveTemplate();
+    state.activeTemplateId = id;
+    loadTemplateFields(template);
+    
+    // The previous template now renders as a background template
+    if (previous) previous.chunkedTiles = new Map();
+    template.chunkedTiles = new Map();
+    
+    refreshTemplateUI();
+    if (state.templateOverlayEnabled) {
+      refreshTemplateOverlays();
+    } else if (state.diffOverlayEnabled || state.guardOverlayEnabled) {
+      refreshOverlay();
+    }
+  }
+  
+  function removeTemplate(id) {
+    if (state.isPlacing || state.templates.length <= 1) return;
+    const index = state.templates.findIndex(t => t.id === id);
+    if (index < 0) return;
+    
+    if (id === state.activeTemplateId) {
+      const next = state.templates[index + 1] || state.templates[index - 1];
+      activateTemplate(next.id);
+    }
+    state.templates.splice(index, 1);
+    updateTemplatesList();
+    if (state.templateOverlayEnabled) setTimeout(triggerMapRefresh, 100);
+  }
+  
+  function moveTemplate(id, delta) {
+    const index = state.templates.findIndex(t => t.id === id);
+    const target = index + delta;
+    if (index < 0 || target < 0 || target >= state.templates.length) return;
+    const [template] = state.templates.splice(index, 1);
+    state.templates.splice(target, 0, template);
+    updateTemplatesList();
+    if (state.templateOverlayEnabled) setTimeout(triggerMapRefresh, 100);
+  }
+  
+  function setTemplateVisible(id, visible) {
+    const template = state.templates.find(t => t.id === id);
+    if (!template) return;
+    template.templateVisible = visible;
+    if (id === state.activeTemplateId) state.templateVisible = visible;
+    if (state.templateOverlayEnabled) refreshTemplateOverlays();
+  }
+  
+  function setTemplateOpacity(id, opacity) {
+    const template = state.templates.find(t => t.id === id);
+    if (!template) return;
+    template.templateOverlayOpacity = opacity;
+    if (id === state.activeTemplateId) state.templateOverlayOpacity = opacity;
+    if (state.templateOverlayEnabled) setTimeout(triggerMapRefresh, 100);
+  }
+  
+  /**
+   * Rebuild overlay chunks for the active template and all visible background templates
+   */
+  async function refreshTemplateOverlays() {
+    if (state.imageLoaded && state.anchorSet) {
+      await processImageIntoChunks();
+    } else {
+      state.chunkedTiles.clear();
+    }
+    for (const template of getBackgroundTemplates()) {
+      template.chunkedTiles = new Map();
+      if (template.templateVisible && template.imageLoaded && template.anchorSet) {
+        await processImageIntoChunks(template, template.chunkedTiles);
+      }
+    }
+    setTimeout(triggerMapRefresh, 200);
+    updateTemplatesList();
+  }
+  
+  /**
+   * Background template chunks for a tile, lowest priority first (drawn underneath)
+   * @returns {Array} - [{bitmap, opacity}]
+   */
+  function getBackgroundTemplateChunks(tileKey) {
+    const chunks = [];
+    for (let i = state.templates.length - 1; i >= 0; i--) {
+      const template = state.templates[i];
+      if (template.id === state.activeTemplateId || !template.templateVisible) continue;
+      const bitmap = template.chunkedTiles.get(tileKey);
+      if (bitmap) chunks.push({ bitmap, opacity: template.templateOverlayOpacity });
+    }
+    return chunks;
+  }
+  
+  /**
+   * Pick the template the next batch should work on when targeting all templates
+   * @returns {Object|null}
+   */
+  function pickBatchTemplate() {
+    stashActiveTemplate();
+    for (const template of state.templates) {
+      if (!template.imageLoaded || !template.anchorSet) continue;
+      const remaining = withTemplateState(template, () => getRemainingCount());
+      if (remaining > 0) return template;
+    }
+    return null;
+  }
+  
+  // Sync the main panel with the template now in state
+  function refreshTemplateUI() {
+    const tileEl = document.getElementById('patplacer-tile-pos');
+    const pixelEl = document.getElementById('patplacer-pixel-pos');
+    if (tileEl) tileEl.textContent = state.anchorSet ? `(${state.anchorTile.x}, ${state.anchorTile.y})` : '--';
+    if (pixelEl) pixelEl.textContent = state.anchorSet ? `(${state.anchorPixel.x}, ${state.anchorPixel.y})` : '--';
+    
+    const moveBtn = document.getElementById('patplacer-move-btn');
+    const guardBtn = document.getElementById('patplacer-guard-btn');
+    if (moveBtn) moveBtn.style.display = state.anchorSet ? '' : 'none';
+    if (guardBtn) guardBtn.style.display = state.anchorSet ? '' : 'none';
+    
+    const orderSelect = document.getElementById('patplacer-order-select');
+    if (orderSelect) orderSelect.value = state.placementStrategy;
+    
+    const hasImage = state.allPixels.length > 0;
+    const previewCanvas = document.getElementById('patplacer-preview-canvas');
+    const noImageEl = document.getElementById('patplacer-no-image');
+    const uploadArea = document.getElementById('patplacer-upload-area');
+    const uploadLoaded = document.getElementById('patplacer-upload-loaded');
+    if (hasImage) {
+      updateInfoPanelPreview();
+    } else {
+      if (previewCanvas) previewCanvas.style.display = 'none';
+      if (noImageEl) noImageEl.style.display = '';
+    }
+    if (uploadArea) uploadArea.style.display = state.originalImageLoaded || hasImage ? 'none' : '';
+    if (uploadLoaded) uploadLoaded.style.display = state.originalImageLoaded || hasImage ? 'block' : 'none';
+    
+    const sizeEl = document.getElementById('patplacer-stat-size');
+    const pixelsEl = document.getElementById('patplacer-stat-pixels');
+    const colorsEl = document.getElementById('patplacer-stat-colors');
+    if (sizeEl) sizeEl.textContent = hasImage ? `${state.imageWidth}×${state.imageHeight}` : '--';
+    if (pixelsEl) pixelsEl.textContent = hasImage ? formatNumber(state.allPixels.length) : '--';
+    if (colorsEl) colorsEl.textContent = hasImage ? new Set(state.allPixels.map(p => p.colorIdx)).size : '--';
+    
+    updatePlaceButtonState();
+    updateOverlayControls();
+    updateLibraryPanel();
+    updateGuardPanel();
+  }
+  
+  function updateTemplatesList() {
+    const listEl = document.getElementById('patplacer-templates-list');
+    if (!listEl) return;
+    
+    listEl.innerHTML = state.templates.map((template, index) => {
+      const t = template.id === state.activeTemplateId ? state : template;
+      const total = t.allPixels.length;
+      const percent = total > 0 ? Math.round((t.placedCount / total) * 100) : 0;
+      const active = template.id === state.activeTemplateId ? ' pp-template-active' : '';
+      return `
+        <div class="pp-template-item${active}" data-template-id="${template.id}">
+          <input type="checkbox" class="pp-checkbox" data-action="visible" title="Show in overlay" ${t.templateVisible ? 'checked' : ''}>
+          <div class="pp-template-info" data-action="activate" title="Make active">
+            <div class="pp-template-name">${index + 1}. ${escapeHtml(t.projectName)}</div>
+            <div class="pp-template-meta">${total > 0 ? `${percent}% of ${formatNumber(total)}` : 'Empty'} · ${t.anchorSet ? `T(${t.anchorTile.x}, ${t.anchorTile.y})` : 'No anchor'}</div>
+            <input type="range" class="pp-template-opacity" data-action="opacity" min="10" max="100" value="${Math.round(t.templateOverlayOpacity * 100)}" title="Opacity">
+          </div>
+          <div class="pp-template-actions">
+            <button data-action="up" title="Higher priority">▲</button>
+            <button data-action="down" title="Lower priority">▼</button>
+            <button data-action="remove" title="Remove" ${state.templates.length <= 1 ? 'disabled' : ''}>✕</button>
+          </div>
+        </div>`;
+    }).join('');
+  }
+
+  // ============================================================
+  // PIXEL EDITOR
+  // ============================================================
+  // Touch up the processed image without leaving wplace. Works on a copy of
+  // state.imageData (one Uint32 per pixel) and only writes back on save.
+  let pixelEditor = null;
+  
+  const EDITOR_TOOLS = ['pencil', 'eraser', 'picker', 'fill', 'select'];
+  const EDITOR_MAX_VIEW = 480; // Max canvas view size in screen pixels
+  
+  // Pack a color the way Uint32Array reads RGBA bytes (little endian)
+  function packEditorColor(color) {
+    return ((255 << 24) | (color.b << 16) | (color.g << 8) | color.r) >>> 0;
+  }
+  
+  function showPixelEditor() {
+    if (document.getElementById('patplacer-editor-panel')) return;
+    if (!state.imageData) {
+      updateStatus('Process an image first');
+      return;
+    }
+    if (state.isPlacing) {
+      updateStatus('Stop placing before editing');
+      return;
+    }
+    
+    const width = state.imageData.width;
+    const height = state.imageData.height;
+    const data = new Uint8ClampedArray(state.imageData.data);
+    const colors = getProjectPalette().filter(c => c.id !== 0);
+    
+    pixelEditor = {
+      width,
+      height,
+      data,
+      pixels: new Uint32Array(data.buffer),
+      tool: 'pencil',
+      color: colors[0] || null,
+      zoom: Math.max(1, Math.min(16, Math.floor(EDITOR_MAX_VIEW / Math.max(width, height)))),
+      undo: [],
+      redo: [],
+      stroke: null,       // Map index -> previous value while the mouse is down
+      lastPoint: null,
+      selection: null,    // {x, y, w, h}
+      selectStart: null,
+      dirty: false,
+      keyHandler: null
+    };
+    
+    const iconBase = CONFIG.ICON_BASE;
+    const editorPanel = document.createElement('div');
+    editorPanel.id = 'patplacer-editor-panel';
+    editorPanel.className = 'pp-move-panel pp-editor-panel';
+    
+    editorPanel.innerHTML = `
+      <div class="pp-move-header">
+        <span class="pp-move-title">Pixel Editor</span>
+        <button class="pp-move-close" id="patplacer-editor-close">✕</button>
+      </div>
+      <div class="pp-move-body">
+        <div class="pp-editor-toolbar" id="pp-editor-tools">
+          <button class="pp-editor-tool" data-tool="pencil" title="Pencil (B)"><img src="${iconBase}pen.png" alt=""></button>
+          <button class="pp-editor-tool" data-tool="eraser" title="Eraser (E)">⌫</button>
+          <button class="pp-editor-tool" data-tool="picker" title="Eyedropper (I)"><img src="${iconBase}droplet.png" alt=""></button>
+          <button class="pp-editor-tool" data-tool="fill" title="Flood fill (G)"><img src="${iconBase}potion.png" alt=""></button>
+          <button class="pp-editor-tool" data-tool="select" title="Rectangle select (M)"><img src="${iconBase}crop.png" alt=""></button>
+          <span class="pp-editor-sep"></span>
+          <button class="pp-editor-tool" id="pp-editor-undo" title="Undo (Ctrl+Z)">↶</button>
+          <button class="pp-editor-tool" id="pp-editor-redo" title="Redo (Ctrl+Y)">↷</button>
+          <span class="pp-editor-sep"></span>
+          <button class="pp-editor-tool" id="pp-editor-zoom-out" title="Zoom out">−</button>
+          <span class="pp-editor-zoom" id="pp-editor-zoom">${pixelEditor.zoom}x</span>
+          <button class="pp-editor-tool" id="pp-editor-zoom-in" title="Zoom in">+</button>
+        </div>
+        <div class="pp-editor-selection" id="pp-editor-selection" style="display: none;">
+          <span id="pp-editor-selection-size"></span>
+          <button class="pp-btn pp-btn-small" data-selection="fill">Fill</button>
+          <button class="pp-btn pp-btn-small" data-selection="clear">Clear</button>
+          <button class="pp-btn pp-btn-small" data-selection="none">Deselect</button>
+        </div>
+        <div class="pp-editor-viewport">
+          <canvas id="pp-editor-canvas" class="pp-editor-canvas"></canvas>
+        </div>
+        <div class="pp-editor-status">
+          <span id="pp-editor-cursor">--</span>
+          <span id="pp-editor-color">${colors.length === 0 ? 'Open the color picker to load colors' : ''}</span>
+        </div>
+        <div class="pp-editor-palette" id="pp-editor-palette">
+          ${colors.map(c => `<button class="pp-editor-swatch" data-color-id="${c.id}" style="background: ${c.hex};" title="${c.name || c.hex}"></button>`).join('')}
+        </div>
+        <div class="pp-editor-actions">
+          <button class="pp-btn pp-btn-small" id="pp-editor-cancel">Cancel</button>
+          <button class="pp-btn pp-btn-small pp-btn-primary" id="pp-editor-save">Save</button>
+        </div>
+      </div>
+    `;
+    
+    document.body.appendChild(editorPanel);
+    
+    const stopDragging = makePanelDraggable(editorPanel);
+    // Strokes end wherever the mouse is released
+    document.addEventListener('mouseup', endEditorStroke);
+    
+    // Tools and palette
+    editorPanel.querySelector('#pp-editor-tools').addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-tool]');
+      if (btn) setEditorTool(btn.dataset.tool);
+    });
+    editorPanel.querySelector('#pp-editor-palette').addEventListener('click', (e) => {
+      const swatch = e.target.closest('[data-color-id]');
+      if (!swatch) return;
+      setEditorColor(CONFIG.COLOR_PALETTE.find(c => c.id === parseInt(swatch.dataset.colorId, 10)));
+    });
+    editorPanel.querySelector('#pp-editor-undo').addEventListener('click', () => stepEditorHistory(-1));
+    editorPanel.querySelector('#pp-editor-redo').addEventListener('click', () => stepEditorHistory(1));
+    editorPanel.querySelector('#pp-editor-zoom-in').addEventListener('click', () => setEditorZoom(pixelEditor.zoom + 1));
+    editorPanel.querySelector('#pp-editor-zoom-out').addEventListener('click', () => setEditorZoom(pixelEditor.zoom - 1));
+    editorPanel.querySelector('#pp-editor-selection').addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-selection]');
+      if (btn) applySelectionAction(btn.dataset.selection);
+    });
+    
+    // Canvas drawing
+    const canvas = editorPanel.querySelector('#pp-editor-canvas');
+    canvas.addEventListener('mousedown', (e) => {
+      if (e.button !== 0) return;
+      e.preventDefault();
+      handleEditorPointer(getEditorPoint(e), true);
+    });
+    canvas.addEventListener('mousemove', (e) => {
+      const point = getEditorPoint(e);
+      const cursorEl = document.getElementById('pp-editor-cursor');
+      if (cursorEl) cursorEl.textContent = `${point.x}, ${point.y}`;
+      if (e.buttons & 1) handleEditorPointer(point, false);
+    });
+    canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+    
+    // Keyboard shortcuts while the editor is open
+    const shortcuts = { b: 'pencil', e: 'eraser', i: 'picker', g: 'fill', m: 'select' };
+    pixelEditor.keyHandler = (e) => {
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+      const key = e.key.toLowerCase();
+      if ((e.ctrlKey || e.metaKey) && key === 'z') {
+        stepEditorHistory(e.shiftKey ? 1 : -1);
+      } else if ((e.ctrlKey || e.metaKey) && key === 'y') {
+        stepEditorHistory(1);
+      } else if (key === 'delete' || key === 'backspace') {
+        if (!pixelEditor.selection) return;
+        applySelectionAction('clear');
+      } else if (key === 'escape') {
+        applySelectionAction('none');
+      } else if (!e.ctrlKey && !e.metaKey && shortcuts[key]) {
+        setEditorTool(shortcuts[key]);
+      } else {
+        return;
+      }
+      e.preventDefault();
+      e.stopPropagation();
+    };
+    document.addEventListener('keydown', pixelEditor.keyHandler, true);
+    
+    const closeEditor = () => {
+      stopDragging();
+      document.removeEventListener('mouseup', endEditorStroke);
+      document.removeEventListener('keydown', pixelEditor.keyHandler, true);
+      pixelEditor = null;
+      if (editorPanel.parentNode) {
+        editorPanel.parentNode.removeChild(editorPanel);
+      }
+    };
+    
+    const cancelEditor = () => {
+      if (pixelEditor.dirty && !confirm('Discard your pixel edits?')) return;
+      closeEditor();
+    };
+    document.getElementById('patplacer-editor-close').addEventListener('click', cancelEditor);
+    document.getElementById('pp-editor-cancel').addEventListener('click', cancelEditor);
+    document.getElementById('pp-editor-save').addEventListener('click', async () => {
+      if (!pixelEditor.dirty) {
+        closeEditor();
+        return;
+      }
+      const { data: edited, width: editedWidth, height: editedHeight } = pixelEditor;
+      closeEditor();
+      await applyEditedImage(new ImageData(edited, editedWidth, editedHeight));
+    });
+    
+    setEditorTool('pencil');
+    setEditorColor(pixelEditor.color);
+    setEditorZoom(pixelEditor.zoom);
+  }
+  
+  function setEditorTool(tool) {
+    if (!pixelEditor || !EDITOR_TOOLS.includes(tool)) return;
+    pixelEditor.tool = tool;
+    document.querySelectorAll('#pp-editor-tools [data-tool]').forEach(btn => {
+      btn.classList.toggle('pp-editor-tool-active', btn.dataset.tool === tool);
+    });
+    const canvas = document.getElementById('pp-editor-canvas');
+    if (canvas) canvas.style.cursor = tool === 'select' ? 'crosshair' : tool === 'picker' ? 'copy' : 'cell';
+  }
+  
+  function setEditorColor(color) {
+    if (!pixelEditor || !color) return;
+    pixelEditor.color = color;
+    document.querySelectorAll('#pp-editor-palette [data-color-id]').forEach(swatch => {
+      swatch.classList.toggle('pp-editor-swatch-active', parseInt(swatch.dataset.colorId, 10) === color.id);
+    });
+    const colorEl = document.getElementById('pp-editor-color');
+    if (colorEl) colorEl.textContent = color.name || color.hex;
+  }
+  
+  function setEditorZoom(zoom) {
+    if (!pixelEditor) return;
+    pixelEditor.zoom = Math.max(1, Math.min(32, zoom));
+    const canvas = document.getElementById('pp-editor-canvas');
+    canvas.width = pixelEditor.width * pixelEditor.zoom;
+    canvas.height = pixelEditor.height * pixelEditor.zoom;
+    document.getElementById('pp-editor-zoom').textContent = `${pixelEditor.zoom}x`;
+    renderPixelEditor();
+  }
+  
+  function getEditorPoint(e) {
+    const canvas = e.currentTarget;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: Math.floor((e.clientX - rect.left) * (canvas.width / rect.width) / pixelEditor.zoom),
+      y: Math.floor((e.clientY - rect.top) * (canvas.height / rect.height) / pixelEditor.zoom)
+    };
+  }
+  
+  function isInsideEditor(x, y) {
+    const sel = pixelEditor.selection;
+    if (x < 0 || y < 0 || x >= pixelEditor.width || y >= pixelEditor.height) return false;
+    // Edits stay inside the selection while there is one
+    return !sel || (x >= sel.x && y >= sel.y && x < sel.x + sel.w && y < sel.y + sel.h);
+  }
+  
+  function handleEditorPointer(point, isStart) {
+    const editor = pixelEditor;
+    
+    switch (editor.tool) {
+      case 'pencil':
+      case 'eraser': {
+        if (editor.tool === 'pencil' && !editor.color) {
+          updateStatus('Open the color picker to load colors first');
+          return;
+        }
+        if (isStart) beginEditorStroke();
+        if (!editor.stroke) return;
+        const value = editor.tool === 'eraser' ? 0 : packEditorColor(editor.color);
+        const from = isStart || !editor.lastPoint ? point : editor.lastPoint;
+        forEachLinePoint(from, point, (x, y) => setEditorPixel(x, y, value));
+        editor.lastPoint = point;
+        break;
+      }
+      case 'picker': {
+        if (!isStart || !isInsideEditor(point.x, point.y)) return;
+        const i = (point.y * editor.width + point.x) * 4;
+        if (editor.data[i + 3] < 128) {
+          setEditorTool('eraser');
+        } else {
+          setEditorColor(findExactOrClosestColor(editor.data[i], editor.data[i + 1], editor.data[i + 2]));
+          setEditorTool('pencil');
+        }
+        return;
+      }
+      case 'fill': {
+        if (!isStart || !isInsideEditor(point.x, point.y) || !editor.color) return;
+        beginEditorStroke();
+        floodFillEditor(point.x, point.y, packEditorColor(editor.color));
+        endEditorStroke();
+        break;
+      }
+      case 'select': {
+        if (isStart) editor.selectStart = point;
+        if (!editor.selectStart) return;
+        const x0 = Math.max(0, Math.min(editor.selectStart.x, point.x));
+        const y0 = Math.max(0, Math.min(editor.selectStart.y, point.y));
+        const x1 = Math.min(editor.width - 1, Math.max(editor.selectStart.x, point.x));
+        const y1 = Math.min(editor.height - 1, Math.max(editor.selectStart.y, point.y));
+        editor.selection = { x: x0, y: y0, w: x1 - x0 + 1, h: y1 - y0 + 1 };
+        updateEditorSelectionBar();
+        break;
+      }
+    }
+    
+    renderPixelEditor();
+  }
+  
+  function beginEditorStroke() {
+    pixelEditor.stroke = new Map();
+    pixelEditor.lastPoint = null;
+  }
+  
+  // Turn the pixels changed since beginEditorStroke into one undo step
+  function endEditorStroke() {
+    const editor = pixelEditor;
+    if (!editor) return;
+    editor.selectStart = null;
+    if (!editor.stroke) return;
+    
+    const stroke = editor.stroke;
+    editor.stroke = null;
+    editor.lastPoint = null;
+    if (stroke.size === 0) return;
+    
+    const indices = Int32Array.from(stroke.keys());
+    const before = Uint32Array.from(stroke.values());
+    const after = Uint32Array.from(indices, i => editor.pixels[i]);
+    editor.undo.push({ indices, before, after });
+    if (editor.undo.length > 100) editor.undo.shift();
+    editor.redo = [];
+    editor.dirty = true;
+  }
+  
+  function setEditorPixel(x, y, value) {
+    if (!isInsideEditor(x, y)) return;
+    const index = y * pixelEditor.width + x;
+    const current = pixelEditor.pixels[index];
+    // Anything transparent counts as empty
+    if (current === value || (value === 0 && (current >>> 24) < 128)) return;
+    if (!pixelEditor.stroke.has(index)) pixelEditor.stroke.set(index, current);
+    pixelEditor.pixels[index] = value;
+  }
+  
+  // Bresenham line so fast strokes don't leave gaps
+  function forEachLinePoint(from, to, fn) {
+    let x = from.x;
+    let y = from.y;
+    const dx = Math.abs(to.x - x);
+    const dy = -Math.abs(to.y - y);
+    const sx = x < to.x ? 1 : -1;
+    const sy = y < to.y ? 1 : -1;
+    let err = dx + dy;
+    
+    while (true) {
+      fn(x, y);
+      if (x === to.x && y === to.y) break;
+      const e2 = 2 * err;
+      if (e2 >= dy) { err += dy; x += sx; }
+      if (e2 <= dx) { err += dx; y += sy; }
+    }
+  }
+  
+  /**
+   * 4-connected flood fill of the region matching the start pixel
+   * Transparent pixels match each other regardless of their RGB
+   */
+  function floodFillEditor(startX, startY, value) {
+    const { width, pixels } = pixelEditor;
+    const keyOf = (v) => ((v >>> 24) < 128 ? 0 : v);
+    const target = keyOf(pixels[startY * width + startX]);
+    if (target === value) return;
+    
+    const stack = [startX, startY];
+    while (stack.length > 0) {
+      const y = stack.pop();
+      const x = stack.pop();
+      if (!isInsideEditor(x, y)) continue;
+      const index = y * width + x;
+      if (pixelEditor.stroke.has(index) || keyOf(pixels[index]) !== target) continue;
+      setEditorPixel(x, y, value);
+      stack.push(x + 1, y, x - 1, y, x, y + 1, x, y - 1);
+    }
+  }
+  
+  function applySelectionAction(action) {
+    const editor = pixelEditor;
+    if (!editor || !editor.selection) return;
+    
+    if (action === 'fill' || action === 'clear') {
+      if (action === 'fill' && !editor.color) return;
+      const value = action === 'fill' ? packEditorColor(editor.color) : 0;
+      const { x, y, w, h } = editor.selection;
+      beginEditorStroke();
+      for (let py = y; py < y + h; py++) {
+        for (let px = x; px < x + w; px++) setEditorPixel(px, py, value);
+      }
+      endEditorStroke();
+    } else {
+      editor.selection = null;
+    }
+    
+    updateEditorSelectionBar();
+    renderPixelEditor();
+  }
+  
+  function updateEditorSelectionBar() {
+    const bar = document.getElementById('pp-editor-selection');
+    if (!bar) return;
+    const sel = pixelEditor.selection;
+    bar.style.display = sel ? '' : 'none';
+    if (sel) document.getElementById('pp-editor-selection-size').textContent = `${sel.w}×${sel.h} at (${sel.x}, ${sel.y})`;
+  }
+  
+  /**
+   * Move through the undo history
+   * @param {number} direction - -1 = undo, 1 = redo
+   */
+  function stepEditorHistory(direction) {
+    const editor = pixelEditor;
+    if (!editor || editor.stroke) return;
+    const from = direction < 0 ? editor.undo : editor.redo;
+    const to = direction < 0 ? editor.redo : editor.undo;
+    const step = from.pop();
+    if (!step) return;
+    
+    const values = direction < 0 ? step.before : step.after;
+    for (let i = 0; i < step.indices.length; i++) editor.pixels[step.indices[i]] = values[i];
+    to.push(step);
+    editor.dirty = true;
+    renderPixelEditor();
+  }
+  
+  function renderPixelEditor() {
+    const editor = pixelEditor;
+    const canvas = document.getElementById('pp-editor-canvas');
+    if (!editor || !canvas) return;
+    
+    const source = new OffscreenCanvas(editor.width, editor.height);
+    source.getContext('2d').putImageData(new ImageData(editor.data, editor.width, editor.height), 0, 0);
+    
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = false;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    
+    if (editor.selection) {
+      const { x, y, w, h } = editor.selection;
+      const zoom = editor.zoom;
+      ctx.lineWidth = 1;
+      ctx.setLineDash([4, 4]);
+      ctx.strokeStyle = '#000';
+      ctx.strokeRect(x * zoom + 0.5, y * zoom + 0.5, w * zoom - 1, h * zoom - 1);
+      ctx.lineDashOffset = 4;
+      ctx.strokeStyle = '#fff';
+      ctx.strokeRect(x * zoom + 0.5, y * zoom + 0.5, w * zoom - 1, h * zoom - 1);
+      ctx.setLineDash([]);
+      ctx.lineDashOffset = 0;
+    }
+    
+    const undoBtn = document.getElementById('pp-editor-undo');
+    const redoBtn = document.getElementById('pp-editor-redo');
+    if (undoBtn) undoBtn.disabled = editor.undo.length === 0;
+    if (redoBtn) redoBtn.disabled = editor.redo.length === 0;
+  }
+  
+  /**
+   * Replace the processed image with the edited one and rebuild the pixel list
+   * @param {ImageData} imageData
+   */
+  async function applyEditedImage(imageData) {
+    state.imageData = imageData;
+    state.imageWidth = imageData.width;
+    state.imageHeight = imageData.height;
+    state.imageBitmap = await createImageBitmap(imageData);
+    
+    const previous = { pixels: state.allPixels, status: state.pixelStatus, repairs: state.repairDrafts };
+    buildPixelList();
+    carryPixelProgress(previous);
+    updateInfoPanelPreview();
+    
+    const statPixels = document.getElementById('patplacer-stat-pixels');
+    const statColors = document.getElementById('patplacer-stat-colors');
+    if (statPixels) statPixels.textContent = formatNumber(state.allPixels.length);
+    if (statColors) statColors.textContent = new Set(state.allPixels.map(p => p.colorIdx)).size;
+    
+    updatePlaceButtonState();
+    refreshOverlay();
+    if (state.allPixels.length > 0) PatPlacerStorage.saveToLocal();
+    updateStatus(`✓ Edits saved: ${state.allPixels.length.toLocaleString()} pixels`);
+  }
+  
+  /**
+   * Restore progress of a rebuilt pixel list for pixels that kept their position and color
+   * @param {Object} previous - {pixels, status, repairs} from before the rebuild
+   */
+  function carryPixelProgress(previous) {
+    previous.pixels.forEach((p, i) => {
+      const index = getPixelIndexAt(p.x, p.y);
+      if (index < 0 || state.allPixels[index].colorIdx !== p.colorIdx) return;
+      state.pixelStatus[index] = previous.status[i];
+      if (previous.repairs.has(i)) state.repairDrafts.set(index, previous.repairs.get(i));
+    });
+    recountPixelStatus();
+    state.placedPixels = state.allPixels.filter((p, i) => isPixelComplete(i));
+    updateBatchUI();
+  }
+
+  // ============================================================
+  // COLOR REMAPPING
+  // ============================================================
+  // Replace, swap or drop palette colors in the processed image without
+  // reprocessing. Pixels that keep their color keep their progress.
+  
+  /**
+   * Pixels per palette id in the pixel list, most used first
+   * @returns {Array} - [{id, color, count}]
+   */
+  function getColorUsage() {
+    const counts = new Map();
+    for (const p of state.allPixels) {
+      counts.set(p.colorIdx, (counts.get(p.colorIdx) || 0) + 1);
+    }
+    return [...counts]
+      .map(([id, count]) => ({
+        id,
+        color: CONFIG.COLOR_PALETTE.find(c => c.id === id) || null,
+        count
+      }))
+      .sort((a, b) => b.count - a.count);
+  }
+  
+  /**
+   * Apply color changes to the image, the pixel list and the overlay
+   * @param {Map} mapping - palette id -> target color, or null for transparent
+   */
+  async function remapColors(mapping) {
+    if (mapping.size === 0) return;
+    
+    // Pixel list: changed pixels start over, dropped ones go away
+    const pixels = [];
+    const status = [];
+    const repairs = new Map();
+    state.allPixels.forEach((p, i) => {
+      if (!mapping.has(p.colorIdx)) {
+        if (state.repairDrafts.has(i)) repairs.set(pixels.length, state.repairDrafts.get(i));
+        pixels.push(p);
+        status.push(state.pixelStatus[i]);
+        return;
+      }
+      const target = mapping.get(p.colorIdx);
+      if (!target) return;
+      pixels.push({ ...p, r: target.r, g: target.g, b: target.b, colorIdx: target.id });
+      status.push(PIXEL_STATUS.PENDING);
+    });
+    state.allPixels = pixels;
+    resetPlacementProgress();
+    state.pixelStatus.set(status);
+    state.repairDrafts = repairs;
+    recountPixelStatus();
+    state.placedPixels = state.allPixels.filter((p, i) => isPixelComplete(i));
+    
+    // Image data follows so the editor, PNG export and re-opened projects agree
+    if (state.imageData) {
+      const imageData = new ImageData(new Uint8ClampedArray(state.imageData.data), state.imageData.width, state.imageData.height);
+      const data = imageData.data;
+      for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] < 128) continue;
+        const color = findExactOrClosestColor(data[i], data[i + 1], data[i + 2]);
+        if (!color || !mapping.has(color.id)) continue;
+        const target = mapping.get(color.id);
+        if (target) {
+          data[i] = target.r;
+          data[i + 1] = target.g;
+          data[i + 2] = target.b;
+        } else {
+          data[i + 3] = 0;
+        }
+      }
+      state.imageData = imageData;
+      state.imageBitmap = await createImageBitmap(imageData);
+    }
+    
+    updateInfoPanelPreview();
+    const statPixels = document.getElementById('patplacer-stat-pixels');
+    const statColors = document.getElementById('patplacer-stat-colors');
+    if (statPixels) statPixels.textContent = formatNumber(state.allPixels.length);
+    if (statColors) statColors.textContent = getColorUsage().length;
+    updateBatchUI();
+    updatePlaceButtonState();
+    refreshOverlay();
+    if (state.allPixels.length > 0) PatPlacerStorage.saveToLocal();
+  }
+  
+  function showColorRemapPanel() {
+    if (document.getElementById('patplacer-remap-panel')) return;
+    if (state.allPixels.length === 0) {
+      updateStatus('Process an image first');
+      return;
+    }
+    
+    const remapPanel = document.createElement('div');
+    remapPanel.id = 'patplacer-remap-panel';
+    remapPanel.className = 'pp-move-panel pp-remap-panel';
+    
+    remapPanel.innerHTML = `
+      <div class="pp-move-header">
+        <span class="pp-move-title">Colors</span>
+        <button class="pp-move-close" id="patplacer-remap-close">✕</button>
+      </div>
+      <div class="pp-move-body">
+        <div class="pp-remap-list" id="pp-remap-list"></div>
+      </div>
+    `;
+    
+    document.body.appendChild(remapPanel);
+    
+    const stopDragging = makePanelDraggable(remapPanel);
+    
+    // Select values: "color:<id>", "swap:<id>" or "transparent"
+    document.getElementById('pp-remap-list').addEventListener('change', async (e) => {
+      const select = e.target.closest('select[data-color-id]');
+      if (!select || !select.value) return;
+      if (state.isPlacing) {
+        updateStatus('Stop placing before changing colors');
+        updateColorRemapPanel();
+        return;
+      }
+      
+      const fromId = parseInt(select.dataset.colorId, 10);
+      const from = CONFIG.COLOR_PALETTE.find(c => c.id === fromId);
+      const [action, value] = select.value.split(':');
+      const target = CONFIG.COLOR_PALETTE.find(c => c.id === parseInt(value, 10));
+      if (action !== 'transparent' && (!target || (action === 'swap' && !from))) {
+        // The palette changed since the list was drawn
+        updateStatus('That color is no longer in the palette');
+        updateColorRemapPanel();
+        return;
+      }
+      
+      const mapping = new Map();
+      if (action === 'transparent') {
+        mapping.set(fromId, null);
+      } else if (action === 'swap') {
+        mapping.set(fromId, target);
+        mapping.set(target.id, from);
+      } else {
+        mapping.set(fromId, target);
+      }
+      
+      await remapColors(mapping);
+      updateColorRemapPanel();
+      updateStatus(action === 'transparent' ? `Removed color #${fromId}`
+        : action === 'swap' ? `Swapped colors #${fromId} and #${target.id}`
+        : `Color #${fromId} now uses #${target.id}`);
+    });
+    
+    document.getElementById('patplacer-remap-close').addEventListener('click', () => {
+      stopDragging();
+      if (remapPanel.parentNode) {
+        remapPanel.parentNode.removeChild(remapPanel);
+      }
+    });
+    
+    updateColorRemapPanel();
+  }
+  
+  function updateColorRemapPanel() {
+    const list = document.getElementById('pp-remap-list');
+    if (!list) return;
+    
+    const usage = getColorUsage();
+    if (usage.length === 0) {
+      list.innerHTML = '<div class="pp-info">No pixels left</div>';
+      return;
+    }
+    
+    const total = state.allPixels.length;
+    const palette = getProjectPalette().filter(c => c.id !== 0);
+    const label = (c) => `${c.hex.toUpperCase()} (#${c.id})`;
+    list.innerHTML = usage.map(({ id, color, count }) => {
+      const others = palette.filter(c => c.id !== id);
+      const swaps = usage.filter(u => u.id !== id && u.color);
+      return `
+        <div class="pp-remap-row">
+          <span class="pp-remap-swatch" style="background: ${color ? color.hex : 'transparent'}"></span>
+          <span class="pp-remap-color">${color ? label(color) : `#${id}`}</span>
+          <span class="pp-remap-count">${formatNumber(count)} <small>${(count / total * 100).toFixed(1)}%</small></span>
+          <select class="pp-select pp-remap-select" data-color-id="${id}">
+            <option value="">Keep</option>
+            <optgroup label="Replace with">
+              ${others.map(c => `<option value="color:${c.id}">${label(c)}</option>`).join('')}
+            </optgroup>
+            ${swaps.length > 0 ? `<optgroup label="Swap with">
+              ${swaps.map(u => `<option value="swap:${u.id}">${label(u.color)}</option>`).join('')}
+            </optgroup>` : ''}
+            <option value="transparent">Transparent</option>
+          </select>
+        </div>`;
+    }).join('');
+  }
+
+  // ============================================================
+  // PROCESSING WORKER
+  // ============================================================
+  // The ImageProcessor pipeline runs in a dedicated worker built from the
+  // injected image-processor.js source so heavy filters don't freeze the map.
+  // Starting a new job terminates the running one - stale previews are dropped.
+  let processingWorker = null;
+  let processingWorkerUrl = null;
+  let processingWorkerFailed = false;
+  let activeProcessingJob = null;
+  let processingJobCounter = 0;
+
+  /**
+   * Get the processing worker, creating it if needed
+   * Returns null when workers are unavailable (e.g. blocked by page CSP)
+   */
+  function getProcessingWorker() {
+    if (processingWorker) return processingWorker;
+    if (processingWorkerFailed) return null;
+
+    try {
+      if (!processingWorkerUrl) {
+        const source = document.querySelector('script[data-patplacer-script="image-processor.js"]');
+        if (!source || !source.textContent) {
+          throw new Error('image-processor.js source not found');
+        }
+        processingWorkerUrl = URL.createObjectURL(
+          new Blob([source.textContent], { type: 'text/javascript' })
+        );
+      }
+
+      processingWorker = new Worker(processingWorkerUrl);
+      processingWorker.onmessage = handleProcessingWorkerMessage;
+      processingWorker.onerror = (event) => {
+        // Script-level failure (load error, CSP) - switch to main thread for good
+        event.preventDefault();
+        console.warn('[PatPlacer] Processing worker failed, using main thread:', event.message);
+        processingWorker.terminate();
+        processingWorker = null;
+        processingWorkerFailed = true;
+
+        const job = activeProcessingJob;
+        if (job) runProcessingOnMainThread(job).then(job.resolve, job.reject);
+      };
+      return processingWorker;
+    } catch (error) {
+      console.warn('[PatPlacer] Processing worker unavailable, using main thread:', error);
+      processingWorkerFailed = true;
+      return null;
+    }
+  }
+
+  /**
+   * Handle progress/result/error messages from the worker
+   */
+  function handleProcessingWorkerMessage(event) {
+    const message = event.data;
+    const job = activeProcessingJob;
+    if (!job || message.jobId !== job.id) return;
+
+    if (message.type === 'progress') {
+      job.onProgress(message.stage, message.progress);
+      return;
+    }
+
+    activeProcessingJob = null;
+    if (message.type === 'result') {
+      job.resolve(message.imageData);
+    } else {
+      job.reject(new Error(message.message || 'Processing failed'));
+    }
+  }
+
+  /**
+   * Cancel the running processing job, if any
+   * Terminating is the only way to interrupt a filter mid-run
+   */
+  function cancelProcessingJob() {
+    const job = activeProcessingJob;
+    if (!job) return;
+
+    activeProcessingJob = null;
+    job.cancelled = true;
+    if (processingWorker && !job.mainThread) {
+      processingWorker.terminate();
+      processingWorker = null;
+    }
+    job.resolve(null);
+  }
+
+  /**
+   * Run the processing pipeline on the original image
+   * Resolves to the processed ImageData, or null if a newer job replaced it
+   * A null palette skips quantization
+   */
+  function runProcessingJob(settings, onProgress = () => {}, palette = getProjectPalette()) {
+    cancelProcessingJob();
+
+    const job = {
+      id: ++processingJobCounter,
+      settings: { ...settings },
+      palette: palette && palette.map(c => ({ id: c.id, r: c.r, g: c.g, b: c.b })),
+      onProgress
+    };
+
+    const worker = getProcessingWorker();
+
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+      if (!worker) {
+        runProcessingOnMainThread(job).then(resolve, reject);
+        return;
+      }
+      activeProcessingJob = job;
+      worker.postMessage({
+        type: 'process',
+        jobId: job.id,
+        bitmap: state.originalBitmap,
+        settings: job.settings,
+        palette: job.palette
+      });
+    });
+    return job.promise;
+  }
+
+  /**
+   * Wait until no processing job is running, without cancelling it
+   */
+  async function waitForProcessingIdle() {
+    while (activeProcessingJob) {
+      await activeProcessingJob.promise.catch(() => {});
+    }
+  }
+
+  /**
+   * Fallback: run the pipeline on the page thread
+   * The pipeline itself can't be interrupted, so cancelling only drops the result
+   */
+  async function runProcessingOnMainThread(job) {
+    job.mainThread = true;
+    activeProcessingJob = job;
+    try {
+      if (!imageProcessor) {
+        imageProcessor = new window.PatPlacerImageProcessor();
+      }
+      await imageProcessor.loadFromBitmap(state.originalBitmap);
+      // Cancelled or replaced while the bitmap was loading
+      if (job.cancelled) return null;
+
+      imageProcessor.runPipeline(job.settings, job.palette, job.onProgress);
+      return imageProcessor.getImageData();
+    } finally {
+      if (activeProcessingJob === job) activeProcessingJob = null;
+    }
+  }
+
+  /**
+   * Show pipeline progress in the processing panel preview pane
+   */
+  function updatePreviewProgress(stage, progress) {
+    const container = document.getElementById('pp-preview-progress');
+    if (!container) return;
+
+    const done = progress >= 1;
+    container.style.display = done ? 'none' : 'flex';
+    const label = document.getElementById('pp-preview-progress-label');
+    const fill = document.getElementById('pp-preview-progress-fill');
+    if (label) label.textContent = `${stage}...`;
+    if (fill) fill.style.width = `${Math.round(progress * 100)}%`;
+  }
+
+  // ============================================================
+  // PALETTE PLANNER
+  // ============================================================
+  // Compares the artwork in the owned colors with the full wplace palette and
+  // ranks each locked color by the error it would remove if unlocked. Error is
+  // CIE76 ΔE between each pixel's unquantized color and its nearest palette
+  // color, so the ranking doesn't depend on dithering.
+  
+  /**
+   * The project's colors plus every locked color, in id order
+   */
+  function getFullPalette() {
+    if (!state.colorsCaptured) return getProjectPalette();
+    return [...getProjectPalette(), ...state.lockedColors].sort((a, b) => a.id - b.id);
+  }
+  
+  /**
+   * Total ΔE of the artwork per palette, and what each locked color would save
+   * @param {ImageData} reference - Unquantized processing result
+   * @param {Array} available - Owned colors
+   * @param {Array} locked - Colors that could be unlocked
+   * @returns {Object} - {pixelCount, availableError, fullError, ranking: [{color, saved, pixels}]}
+   */
+  function rankLockedColors(reference, available, locked) {
+    const threshold = processingSettings.transparencyThreshold || 128;
+    const counts = new Map(); // 0xRRGGBB -> pixels
+    const data = reference.data;
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i + 3] < threshold) continue;
+      const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    
+    // Lab conversion (and its cache) comes from the image processor
+    if (!imageProcessor) {
+      imageProcessor = new window.PatPlacerImageProcessor();
+    }
+    const deltaE = (lab1, lab2) => Math.hypot(lab1[0] - lab2[0], lab1[1] - lab2[1], lab1[2] - lab2[2]);
+    const availableLab = imageProcessor.paletteToLab(available);
+    const lockedLab = imageProcessor.paletteToLab(locked);
+    const saved = new Float64Array(locked.length);
+    const pixels = new Uint32Array(locked.length);
+    let pixelCount = 0, availableError = 0, fullError = 0;
+    
+    for (const [key, count] of counts) {
+      const lab = imageProcessor.rgbToLab(key >> 16, (key >> 8) & 0xff, key & 0xff);
+      let best = Infinity;
+      for (const target of availableLab) best = Math.min(best, deltaE(lab, target));
+      let fullBest = best;
+      lockedLab.forEach((target, j) => {
+        const d = deltaE(lab, target);
+        if (d < best) {
+          saved[j] += (best - d) * count;
+          pixels[j] += count;
+        }
+        if (d < fullBest) fullBest = d;
+      });
+      pixelCount += count;
+      availableError += best * count;
+      fullError += fullBest * count;
+    }
+    
+    const ranking = locked
+      .map((color, j) => ({ color, saved: saved[j], pixels: pixels[j] }))
+      .sort((a, b) => b.saved - a.saved);
+    return { pixelCount, availableError, fullError, ranking };
+  }
+  
+  function showPalettePlanner() {
+    if (document.getElementById('patplacer-planner-panel')) {
+      return;
+    }
+    if (!state.colorsCaptured) {
+      updateStatus('⚠️ Open the color picker first so PatPlacer can see which colors are locked');
+      return;
+    }
+    if (!state.originalBitmap) {
+      updateStatus('The palette planner needs the original image - upload one first');
+      return;
+    }
+    
+    const plannerPanel = document.createElement('div');
+    plannerPanel.id = 'patplacer-planner-panel';
+    plannerPanel.className = 'pp-move-panel pp-planner-panel';
+    
+    plannerPanel.innerHTML = `
+      <div class="pp-move-header">
+        <span class="pp-move-title">Palette Planner</span>
+        <button class="pp-move-close" id="patplacer-planner-close">✕</button>
+      </div>
+      <div class="pp-move-body">
+        <div class="pp-planner-previews">
+          <figure>
+            <canvas id="pp-planner-available"></canvas>
+            <figcaption>Your colors (${getProjectPalette().length})</figcaption>
+          </figure>
+          <figure>
+            <canvas id="pp-planner-full"></canvas>
+            <figcaption>All colors (${getFullPalette().length})</figcaption>
+          </figure>
+        </div>
+        <div class="pp-planner-summary" id="pp-planner-summary">Rendering...</div>
+        <div class="pp-planner-list" id="pp-planner-list"></div>
+      </div>
+    `;
+    
+    document.body.appendChild(plannerPanel);
+    
+    const stopDragging = makePanelDraggable(plannerPanel);
+    
+    document.getElementById('patplacer-planner-close').addEventListener('click', () => {
+      stopDragging();
+      if (plannerPanel.parentNode) {
+        plannerPanel.parentNode.removeChild(plannerPanel);
+      }
+    });
+    
+    renderPalettePlanner();
+  }
+  
+  // Run the three renders one after another. Each waits for a running preview
+  // instead of cancelling it; a preview started meanwhile interrupts the planner
+  async function renderPalettePlanner() {
+    const summaryEl = document.getElementById('pp-planner-summary');
+    const drawTo = (id, imageData) => {
+      const canvas = document.getElementById(id);
+      if (!canvas) return;
+      canvas.width = imageData.width;
+      canvas.height = imageData.height;
+      canvas.getContext('2d').putImageData(imageData, 0, 0);
+    };
+    
+    const render = async (palette) => {
+      await waitForProcessingIdle();
+      return runProcessingJob(processingSettings, () => {}, palette);
+    };
+    
+    try {
+      const projectPalette = getProjectPalette();
+      const available = await render(projectPalette);
+      if (available) drawTo('pp-planner-available', available);
+      const full = available && await render(getFullPalette());
+      if (full) drawTo('pp-planner-full', full);
+      const reference = full && await render(null);
+      if (!document.getElementById('patplacer-planner-panel')) return;
+      if (!reference) {
+        summaryEl.textContent = 'Interrupted by another processing job - close and reopen the planner.';
+        return;
+      }
+      
+      const result = rankLockedColors(reference, projectPalette, state.lockedColors);
+      updatePalettePlannerList(result);
+    } catch (err) {
+      console.error('[PatPlacer] Palette planner failed:', err);
+      if (summaryEl) summaryEl.textContent = `Planner failed: ${err.message}`;
     }
-    
-    document.getElementById('patplacer-move-close').addEventListener('click', closeMovePanel);
   }
-
-  // Format large numbers with K/M suffix
-  function formatNumber(num) {
-    if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
-    if (num >= 1000) return (num / 1000).toFixed(1) + 'K';
-    return num.toString();
+  
+  function updatePalettePlannerList({ pixelCount, availableError, fullError, ranking }) {
+    const summaryEl = document.getElementById('pp-planner-summary');
+    const listEl = document.getElementById('pp-planner-list');
+    if (!summaryEl || !listEl) return;
+    
+    if (ranking.length === 0) {
+      summaryEl.textContent = 'Every color is unlocked - nothing to plan.';
+      listEl.innerHTML = '';
+      return;
+    }
+    
+    const avg = (total) => pixelCount > 0 ? (total / pixelCount).toFixed(2) : '0';
+    summaryEl.textContent = `Total ΔE ${formatNumber(Math.round(availableError))} (avg ${avg(availableError)}) → ` +
+      `${formatNumber(Math.round(fullError))} (avg ${avg(fullError)}) with every color`;
+    
+    listEl.innerHTML = ranking.map(({ color, saved, pixels }) => {
+      const share = availableError > 0 ? Math.round(saved / availableError * 100) : 0;
+      return `
+        <div class="pp-planner-row${saved > 0 ? '' : ' pp-planner-row-none'}">
+          <span class="pp-planner-swatch" style="background: ${color.hex}"></span>
+          <span class="pp-planner-color">${color.hex.toUpperCase()} <small>#${color.id}</small></span>
+          <span class="pp-planner-gain">${saved > 0 ? `−${formatNumber(Math.round(saved))} ΔE (${share}%)` : 'no gain'}</span>
+          <span class="pp-planner-pixels">${pixels > 0 ? `${formatNumber(pixels)} px` : ''}</span>
+        </div>`;
+    }).join('');
   }
 
   // ============================================================
@@ -1687,6 +5101,19 @@
     try {
       const bitmap = await createImageBitmap(file);
       
+      // PNGs exported by PatPlacer are already processed - offer to use them as-is
+      const pngMeta = file.type === 'image/png' ? await PatPlacerPNG.readMetadata(file) : null;
+      const usePngMeta = !!pngMeta && confirm(
+        `This PNG was exported by PatPlacer${typeof pngMeta.name === 'string' ? ` ("${pngMeta.name}")` : ''}.\n\n` +
+        'Use it as-is and restore its saved anchor' + (pngMeta.progress?.placedCount ? ' and progress' : '') + '?\n' +
+        'Cancel to process it like any other image.'
+      );
+      
+      // A new image starts a new library project on its first save
+      state.projectId = null;
+      state.projectName = (usePngMeta && typeof pngMeta.name === 'string' && pngMeta.name) || file.name.replace(/\.[^.]+$/, '') || 'Untitled';
+      updateLibraryPanel();
+      
       // Store original for processing
       state.originalBitmap = bitmap;
       state.originalWidth = bitmap.width;
@@ -1698,6 +5125,9 @@
       state.imageWidth = bitmap.width;
       state.imageHeight = bitmap.height;
       
+      state.originalBlob = file;
+      processingSizeRestored = false;
+      
       // Reset processing settings to defaults when new image is uploaded
       // The defaults include resize to max 100 pixels while maintaining aspect ratio
       const maxDim = 100;
@@ -1717,11 +5147,16 @@
         defaultWidth = Math.round(bitmap.width * (maxDim / bitmap.height));
       }
       
-      resetProcessingSettings(defaultWidth, defaultHeight);
-      
-      // Apply default processing immediately so preview matches processing panel defaults
-      // This ensures consistency between initial preview and what "Apply" would produce
-      await applyDefaultProcessing();
+      if (usePngMeta) {
+        // Re-processing starts from the exported pixels at 1:1
+        resetProcessingSettings(bitmap.width, bitmap.height);
+      } else {
+        resetProcessingSettings(defaultWidth, defaultHeight);
+        
+        // Apply default processing immediately so preview matches processing panel defaults
+        // This ensures consistency between initial preview and what "Apply" would produce
+        await applyDefaultProcessing();
+      }
       
       // Get full resolution image data for processing (only used as fallback)
       const fullCanvas = document.createElement('canvas');
@@ -1771,19 +5206,274 @@
       
       state.imageLoaded = true;
       buildPixelList();
+      if (usePngMeta) restorePngMetadata(pngMeta);
       
       // Update preview to show quantized version (palette-mapped colors)
       updateInfoPanelPreview();
       
       updatePlaceButtonState();
       
-      updateStatus(`Image loaded: ${bitmap.width}×${bitmap.height}`);
+      if (!usePngMeta) updateStatus(`Image loaded: ${bitmap.width}×${bitmap.height}`);
     } catch (error) {
       console.error('[PatPlacer] Error loading image:', error);
       updateStatus('Error loading image');
     }
   }
   
+  /**
+   * Restore the anchor and progress embedded in a PatPlacer PNG
+   * @param {Object} meta - From PatPlacerPNG.readMetadata()
+   */
+  function restorePngMetadata(meta) {
+    const anchor = meta.anchor;
+    const validAnchor = anchor && ['tile', 'pixel'].every(key =>
+      Number.isInteger(anchor[key]?.x) && Number.isInteger(anchor[key]?.y));
+    restoreSavedAnchor(validAnchor ? anchor : null);
+    
+    // Progress only lines up if the pixel list came out the same (same checks as project files)
+    const progress = meta.progress || {};
+    const problem = progress.status !== undefined && checkStatusRuns(progress.status, state.allPixels.length);
+    if (problem) console.warn(`[PatPlacer] Ignoring PNG progress: status ${problem}`);
+    if (progress.status !== undefined && !problem) {
+      decodeRuns(progress.status, state.pixelStatus);
+      for (let i = 0; i < state.pixelStatus.length; i++) {
+        if (state.pixelStatus[i] === PIXEL_STATUS.DRAFTED) state.pixelStatus[i] = PIXEL_STATUS.PENDING;
+      }
+      recountPixelStatus();
+      state.placedPixels = state.allPixels.filter((p, i) => isPixelComplete(i));
+      updateBatchUI();
+    }
+    
+    if (state.savedAnchor) {
+      const { tile, pixel } = state.savedAnchor;
+      updateStatus(`Loaded "${state.projectName}" - Place anchor at tile (${tile.x}, ${tile.y}), pixel (${pixel.x}, ${pixel.y})`);
+    } else {
+      updateStatus(`Loaded "${state.projectName}" with ${state.allPixels.length} pixels`);
+    }
+  }
+  
+  // ============================================================
+  // CROP & ORIENT
+  // ============================================================
+  // Crop coordinates refer to the original (unrotated) image; flips and
+  // rotation are applied after cropping by the image processor.
+  let cropEditor = null; // {rect, drag} while the crop rectangle is shown
+  
+  const CROP_HANDLE_SIZE = 8; // Grab distance for corners, in screen pixels
+  
+  /**
+   * Size of the original image after crop and rotation - the resize stage's input
+   */
+  function getProcessingSourceSize() {
+    if (!window.PatPlacerImageProcessor) {
+      return { width: state.originalWidth, height: state.originalHeight };
+    }
+    return window.PatPlacerImageProcessor.getTransformedSize(state.originalWidth, state.originalHeight, processingSettings);
+  }
+  
+  /**
+   * Change crop/flip/rotation settings and keep the output size in proportion
+   * @param {Object} changes - Subset of {crop, flipH, flipV, rotate, freeRotation}
+   */
+  function setProcessingTransform(changes) {
+    const before = getProcessingSourceSize();
+    Object.assign(processingSettings, changes);
+    const after = getProcessingSourceSize();
+    
+    const lockAspect = document.getElementById('pp-lock-aspect');
+    if (!lockAspect || lockAspect.checked) {
+      // Keep the longer side, fit the new shape into it
+      const maxDim = Math.max(processingSettings.width, processingSettings.height);
+      const scale = maxDim / Math.max(after.width, after.height);
+      processingSettings.width = Math.max(1, Math.round(after.width * scale));
+      processingSettings.height = Math.max(1, Math.round(after.height * scale));
+    } else if ((before.width > before.height) !== (after.width > after.height)) {
+      [processingSettings.width, processingSettings.height] = [processingSettings.height, processingSettings.width];
+    }
+    
+    const widthInput = document.getElementById('pp-resize-width');
+    const heightInput = document.getElementById('pp-resize-height');
+    if (widthInput) widthInput.value = processingSettings.width;
+    if (heightInput) heightInput.value = processingSettings.height;
+    
+    updateTransformControls();
+    debouncePreview();
+  }
+  
+  function updateTransformControls() {
+    const panel = document.getElementById('patplacer-processing-panel');
+    if (!panel) return;
+    
+    const crop = cropEditor ? cropEditor.rect : processingSettings.crop;
+    const cropInfo = panel.querySelector('#pp-crop-info');
+    if (cropInfo) {
+      cropInfo.textContent = crop
+        ? `${crop.width}×${crop.height} at (${crop.x}, ${crop.y})`
+        : 'Whole image';
+    }
+    const cropToggle = panel.querySelector('#pp-crop-toggle');
+    if (cropToggle) cropToggle.textContent = cropEditor ? 'Done' : 'Crop';
+    cropToggle?.classList.toggle('pp-btn-primary', !!cropEditor);
+    
+    panel.querySelector('#pp-flip-h')?.classList.toggle('pp-btn-primary', processingSettings.flipH);
+    panel.querySelector('#pp-flip-v')?.classList.toggle('pp-btn-primary', processingSettings.flipV);
+    
+    const freeRotation = panel.querySelector('#pp-free-rotation');
+    if (freeRotation) freeRotation.value = processingSettings.freeRotation;
+    const freeLabel = panel.querySelector('[data-for="pp-free-rotation"]');
+    if (freeLabel) freeLabel.textContent = `${processingSettings.freeRotation}°`;
+  }
+  
+  /**
+   * Show the original image with a draggable crop rectangle instead of the preview
+   */
+  function enterCropMode() {
+    if (!state.originalBitmap) return;
+    const cropCanvas = document.getElementById('pp-crop-canvas');
+    const previewCanvas = document.getElementById('patplacer-proc-preview');
+    if (!cropCanvas || !previewCanvas) return;
+    
+    const current = processingSettings.crop;
+    cropEditor = {
+      rect: current
+        ? { ...current }
+        : { x: 0, y: 0, width: state.originalWidth, height: state.originalHeight },
+      drag: null
+    };
+    
+    cropCanvas.width = state.originalWidth;
+    cropCanvas.height = state.originalHeight;
+    previewCanvas.style.display = 'none';
+    cropCanvas.style.display = 'block';
+    renderCropCanvas();
+    updateTransformControls();
+    
+    const fitBtn = document.getElementById('pp-zoom-fit');
+    if (fitBtn) fitBtn.click();
+  }
+  
+  /**
+   * Leave crop mode
+   * @param {boolean} apply - Store the rectangle in processingSettings
+   */
+  function exitCropMode(apply) {
+    if (!cropEditor) return;
+    const rect = cropEditor.rect;
+    cropEditor = null;
+    
+    const cropCanvas = document.getElementById('pp-crop-canvas');
+    const previewCanvas = document.getElementById('patplacer-proc-preview');
+    if (cropCanvas) cropCanvas.style.display = 'none';
+    if (previewCanvas) previewCanvas.style.display = '';
+    
+    if (apply) {
+      const isFull = rect.x === 0 && rect.y === 0 &&
+        rect.width === state.originalWidth && rect.height === state.originalHeight;
+      setProcessingTransform({ crop: isFull ? null : rect });
+      setTimeout(() => {
+        const fitBtn = document.getElementById('pp-zoom-fit');
+        if (fitBtn) fitBtn.click();
+      }, 50);
+    } else {
+      updateTransformControls();
+    }
+  }
+  
+  function renderCropCanvas() {
+    const canvas = document.getElementById('pp-crop-canvas');
+    if (!cropEditor || !canvas) return;
+    
+    const ctx = canvas.getContext('2d');
+    const { x, y, width, height } = cropEditor.rect;
+    ctx.imageSmoothingEnabled = false;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(state.originalBitmap, 0, 0);
+    
+    // Dim everything outside the crop
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(0, 0, canvas.width, y);
+    ctx.fillRect(0, y + height, canvas.width, canvas.height - y - height);
+    ctx.fillRect(0, y, x, height);
+    ctx.fillRect(x + width, y, canvas.width - x - width, height);
+    
+    // Outline and corner handles sized for the current zoom
+    const screen = canvas.getBoundingClientRect();
+    const unit = screen.width > 0 ? canvas.width / screen.width : 1;
+    ctx.lineWidth = Math.max(1, 2 * unit);
+    ctx.strokeStyle = '#00d9ff';
+    ctx.strokeRect(x, y, width, height);
+    const handle = CROP_HANDLE_SIZE * unit;
+    ctx.fillStyle = '#ff006e';
+    for (const [hx, hy] of [[x, y], [x + width, y], [x, y + height], [x + width, y + height]]) {
+      ctx.fillRect(hx - handle / 2, hy - handle / 2, handle, handle);
+    }
+  }
+  
+  function setupCropCanvasEvents(canvas) {
+    const toImagePoint = (e) => {
+      const screen = canvas.getBoundingClientRect();
+      return {
+        x: Math.round((e.clientX - screen.left) * (canvas.width / screen.width)),
+        y: Math.round((e.clientY - screen.top) * (canvas.height / screen.height)),
+        unit: canvas.width / screen.width
+      };
+    };
+    
+    canvas.addEventListener('mousedown', (e) => {
+      if (!cropEditor || e.button !== 0) return;
+      // Don't let the preview wrapper start panning
+      e.stopPropagation();
+      e.preventDefault();
+      
+      const point = toImagePoint(e);
+      const { x, y, width, height } = cropEditor.rect;
+      const reach = CROP_HANDLE_SIZE * point.unit;
+      const corners = { nw: [x, y], ne: [x + width, y], sw: [x, y + height], se: [x + width, y + height] };
+      const corner = Object.keys(corners).find(key =>
+        Math.abs(corners[key][0] - point.x) <= reach && Math.abs(corners[key][1] - point.y) <= reach
+      );
+      
+      if (corner) {
+        // Drag the grabbed corner, the opposite one stays put
+        const [fx, fy] = corners[{ nw: 'se', ne: 'sw', sw: 'ne', se: 'nw' }[corner]];
+        cropEditor.drag = { mode: 'resize', fixed: { x: fx, y: fy } };
+      } else if (point.x >= x && point.y >= y && point.x < x + width && point.y < y + height) {
+        cropEditor.drag = { mode: 'move', dx: point.x - x, dy: point.y - y };
+      } else {
+        cropEditor.drag = { mode: 'resize', fixed: { x: point.x, y: point.y } };
+      }
+    });
+    
+    document.addEventListener('mousemove', (e) => {
+      if (!cropEditor || !cropEditor.drag) return;
+      const point = toImagePoint(e);
+      const maxW = canvas.width;
+      const maxH = canvas.height;
+      const drag = cropEditor.drag;
+      
+      if (drag.mode === 'move') {
+        const rect = cropEditor.rect;
+        rect.x = Math.max(0, Math.min(maxW - rect.width, point.x - drag.dx));
+        rect.y = Math.max(0, Math.min(maxH - rect.height, point.y - drag.dy));
+      } else {
+        const px = Math.max(0, Math.min(maxW, point.x));
+        const py = Math.max(0, Math.min(maxH, point.y));
+        cropEditor.rect = {
+          x: Math.min(drag.fixed.x, px),
+          y: Math.min(drag.fixed.y, py),
+          width: Math.max(1, Math.abs(px - drag.fixed.x)),
+          height: Math.max(1, Math.abs(py - drag.fixed.y))
+        };
+      }
+      renderCropCanvas();
+      updateTransformControls();
+    });
+    
+    document.addEventListener('mouseup', () => {
+      if (cropEditor) cropEditor.drag = null;
+    });
+  }
+  
   /**
    * Update the processing preview
    */
@@ -1796,120 +5486,38 @@
     updateStatus('Processing preview...');
     
     try {
-      // Initialize processor if needed
-      if (!imageProcessor) {
-        if (window.PatPlacerImageProcessor) {
-          imageProcessor = new window.PatPlacerImageProcessor();
-        } else {
-          console.warn('[PatPlacer] Image processor not available, using basic processing');
-          // Fallback: just resize without advanced processing
-          await applyBasicProcessing();
-          return;
-        }
-      }
-      
-      // Load original image into processor
-      await imageProcessor.loadFromBitmap(state.originalBitmap);
-      
-      // Apply color corrections (before resize for better quality)
-      if (processingSettings.brightness !== 0 || processingSettings.contrast !== 0 || processingSettings.saturation !== 0 || processingSettings.hue !== 0 || processingSettings.gamma !== 100) {
-        imageProcessor.adjustColors({
-          brightness: processingSettings.brightness,
-          contrast: processingSettings.contrast,
-          saturation: processingSettings.saturation,
-          hue: processingSettings.hue,
-          gamma: processingSettings.gamma / 100
-        });
-      }
-      
-      // Apply blur (only if blur mode is not 'none' and radius > 0)
-      if (processingSettings.blur > 0 && processingSettings.blurMode && processingSettings.blurMode !== 'none') {
-        imageProcessor.blur(processingSettings.blurMode, processingSettings.blur);
-      }
-      
-      // Apply sharpen
-      if (processingSettings.sharpen > 0) {
-        imageProcessor.sharpen(processingSettings.sharpen / 100);
-      }
-      
-      // Resize
-      imageProcessor.resize(
-        processingSettings.width,
-        processingSettings.height,
-        processingSettings.resamplingMethod
-      );
-
-      // Edge Detection
-      if (processingSettings.edgeThickness > 0) {
-        imageProcessor.edgeOverlay(
-          processingSettings.edgeAlgorithm || 'sobel',
-          processingSettings.edgeThreshold || 60,
-          processingSettings.edgeThickness,
-          processingSettings.edgeThin || false
-        );
-      }
-
-      // Post-Processing
-      if (processingSettings.posterize < 32) {
-        imageProcessor.posterize(processingSettings.posterize);
-      }
-      if (processingSettings.modeFilter > 0) {
-        imageProcessor.modeFilter(processingSettings.modeFilter);
-      }
-      if (processingSettings.simplify > 0) {
-        imageProcessor.simplify(processingSettings.simplify);
-      }
-      if (processingSettings.erode > 0) {
-        imageProcessor.erode(processingSettings.erode);
+      if (!window.PatPlacerImageProcessor) {
+        console.warn('[PatPlacer] Image processor not available, using basic processing');
+        // Fallback: just resize without advanced processing
+        await applyBasicProcessing();
+        return;
       }
       
-      // Transparency options
-      const transparencyOptions = {
-        paintTransparentPixels: processingSettings.paintTransparent,
-        paintWhitePixels: processingSettings.paintWhite,
-        transparencyThreshold: processingSettings.transparencyThreshold,
-        whiteThreshold: processingSettings.whiteThreshold
-      };
-
-      // Apply dithering (to palette)
-      if (processingSettings.ditheringEnabled) {
-        imageProcessor.dither(
-          processingSettings.ditheringMethod,
-          CONFIG.COLOR_PALETTE,
-          processingSettings.ditheringStrength,
-          processingSettings.colorMatchingMethod,
-          transparencyOptions
-        );
-      } else {
-        // Just quantize to palette without dithering
-        imageProcessor.quantize(
-          CONFIG.COLOR_PALETTE, 
-          processingSettings.colorMatchingMethod,
-          transparencyOptions
-        );
-      }
+      updatePreviewProgress('Starting', 0);
+      const result = await runProcessingJob(processingSettings, updatePreviewProgress);
+      // Superseded by a newer slider value
+      if (!result) return;
+      updatePreviewProgress('Done', 1);
       
-      // Get result and update preview - show at ACTUAL SIZE (1:1)
-      const resultCanvas = imageProcessor.getCanvas();
+      // Update preview - show at ACTUAL SIZE (1:1)
       const previewCanvas = document.getElementById('patplacer-proc-preview');
+      if (!previewCanvas) return;
       
       // Set canvas to actual processed size (not scaled down)
-      previewCanvas.width = resultCanvas.width;
-      previewCanvas.height = resultCanvas.height;
+      previewCanvas.width = result.width;
+      previewCanvas.height = result.height;
       
       const previewCtx = previewCanvas.getContext('2d');
-      previewCtx.imageSmoothingEnabled = false;
-      previewCtx.drawImage(resultCanvas, 0, 0);
+      previewCtx.putImageData(result, 0, 0);
       
       // Update info
       document.getElementById('patplacer-output-size').textContent = 
         `${processingSettings.width} × ${processingSettings.height}`;
       
       // Count non-transparent pixels
-      const imgData = previewCtx.getImageData(0, 0, previewCanvas.width, previewCanvas.height);
       let pixelCount = 0;
-      for (let i = 3; i < imgData.data.length; i += 4) {
-        if (imgData.data[i] >= 128) pixelCount++;
+      for (let i = 3; i < result.data.length; i += 4) {
+        if (result.data[i] >= 128) pixelCount++;
       }
       const pixelCountEl = document.getElementById('patplacer-proc-pixel-count');
       if (pixelCountEl) pixelCountEl.textContent = pixelCount.toLocaleString();
@@ -1917,6 +5525,7 @@
       updateStatus('Preview updated');
     } catch (error) {
       console.error('[PatPlacer] Preview error:', error);
+      updatePreviewProgress('Error', 1);
       updateStatus('Error generating preview');
     }
   }
@@ -1952,6 +5561,11 @@
   function showProcessingPanel() {
     console.log('[PatPlacer] showProcessingPanel called');
     
+    if (!state.originalBitmap && state.allPixels.length > 0) {
+      updateStatus('This project has no original image saved - upload it again to re-process');
+      return;
+    }
+    
     // Create processing panel if doesn't exist
     let procPanel = document.getElementById('patplacer-processing-overlay');
     if (!procPanel) {
@@ -1960,10 +5574,12 @@
       document.body.appendChild(procPanel);
     }
     
-    // Initialize processing settings with current image dimensions
-    if (state.originalBitmap) {
-      processingSettings.width = state.originalWidth;
-      processingSettings.height = state.originalHeight;
+    // Initialize processing settings with current image dimensions (after crop/rotation)
+    // unless a loaded project brought its last-used size
+    if (state.originalBitmap && !processingSizeRestored) {
+      const source = getProcessingSourceSize();
+      processingSettings.width = source.width;
+      processingSettings.height = source.height;
       
       // Update input fields with new IDs
       const widthInput = document.getElementById('pp-resize-width');
@@ -1994,6 +5610,9 @@
    * Hide the processing panel overlay
    */
   function hideProcessingPanel() {
+    if (cropEditor) exitCropMode(false);
+    cancelProcessingJob();
+    updatePreviewProgress('', 1);
     const procPanel = document.getElementById('patplacer-processing-overlay');
     if (procPanel) {
       procPanel.style.display = 'none';
@@ -2031,6 +5650,51 @@
           <div class="pp-resize-config-column">
             <div class="pp-resize-config-scroll">
               
+              <!-- PRESETS -->
+              <div class="pp-preset-bar">
+                <select id="pp-preset-select" class="pp-select" title="Processing preset"></select>
+                <div class="pp-preset-actions">
+                  <button id="pp-preset-save" class="pp-btn pp-btn-small" title="Save current settings as a preset"><img src="${iconBase}save.png" class="pp-btn-icon" alt=""> Save</button>
+                  <button id="pp-preset-delete" class="pp-btn pp-btn-small pp-btn-danger" title="Delete this preset" disabled><img src="${iconBase}trash.png" class="pp-btn-icon" alt=""></button>
+                  <button id="pp-preset-export" class="pp-btn pp-btn-small" title="Export preset as JSON">Export</button>
+                  <button id="pp-preset-import" class="pp-btn pp-btn-small" title="Import presets from JSON">Import</button>
+                </div>
+                <input type="file" id="pp-preset-import-input" accept=".json" style="display: none;">
+              </div>
+              
+              <!-- CROP & ORIENT SECTION -->
+              <div class="pp-section" id="pp-transform-section">
+                <div class="pp-section-title">
+                  <span><img src="${iconBase}crop.png" class="pp-section-icon" alt=""> Crop & Orient</span>
+                </div>
+                <div class="pp-section-content">
+                  <div class="pp-transform-row">
+                    <button id="pp-crop-toggle" class="pp-btn pp-btn-small">Crop</button>
+                    <button id="pp-crop-reset" class="pp-btn pp-btn-small">Full Image</button>
+                  </div>
+                  <div class="pp-description" id="pp-crop-info">Whole image</div>
+                  
+                  <div class="pp-transform-row">
+                    <button id="pp-rotate-left" class="pp-btn pp-btn-small" title="Rotate 90° left">↺ 90°</button>
+                    <button id="pp-rotate-180" class="pp-btn pp-btn-small" title="Rotate 180°">180°</button>
+                    <button id="pp-rotate-right" class="pp-btn pp-btn-small" title="Rotate 90° right">↻ 90°</button>
+                  </div>
+                  <div class="pp-transform-row">
+                    <button id="pp-flip-h" class="pp-btn pp-btn-small" title="Mirror left to right">⇋ Flip H</button>
+                    <button id="pp-flip-v" class="pp-btn pp-btn-small" title="Mirror top to bottom">⇵ Flip V</button>
+                  </div>
+                  
+                  <div class="pp-slider-control">
+                    <div class="pp-slider-header">
+                      <span>Free Rotation</span>
+                      <span class="pp-slider-value" data-for="pp-free-rotation">0°</span>
+                    </div>
+                    <input type="range" id="pp-free-rotation" class="pp-slider" min="-180" max="180" value="0">
+                    <div class="pp-description">Nearest-neighbour; uncovered corners stay transparent</div>
+                  </div>
+                </div>
+              </div>
+
               <!-- RESIZE TOOLS SECTION -->
               <div class="pp-section" id="pp-resize-section">
                 <div class="pp-section-title">
@@ -2060,8 +5724,13 @@
                     <select id="pp-resampling" class="pp-select">
                       <option value="nearest">Nearest Neighbor</option>
                       <option value="bilinear">Bilinear</option>
-                      <option value="bicubic">Bicubic</option>
-                      <option value="lanczos">Lanczos</option>
+                      <option value="bicubic">Bicubic (Catmull-Rom)</option>
+                      <option value="mitchell">Bicubic (Mitchell)</option>
+                      <option value="lanczos2">Lanczos-2</option>
+                      <option value="lanczos">Lanczos-3</option>
+                      <option value="box">Box (Area Average)</option>
+                      <option value="median">Median</option>
+                      <option value="dominant">Dominant Color</option>
                     </select>
                   </div>
                 </div>
@@ -2231,6 +5900,15 @@
                     <div class="pp-description">Shrink edges inward to reduce noise</div>
                   </div>
                   
+                  <div class="pp-slider-control">
+                    <div class="pp-slider-header">
+                      <span>Posterize (levels)</span>
+                      <span class="pp-slider-value" data-for="pp-posterize">32</span>
+                    </div>
+                    <input type="range" id="pp-posterize" class="pp-slider" min="2" max="32" value="32">
+                    <div class="pp-description">Fewer levels per channel flattens gradients (32 = off)</div>
+                  </div>
+                  
                   <div class="pp-slider-control">
                     <div class="pp-slider-header">
                       <span>Mode Filter (N×N)</span>
@@ -2313,13 +5991,36 @@
                     <select id="pp-color-match" class="pp-select">
                       <option value="lab" selected>Perceptual (Lab)</option>
                       <option value="rgb">Legacy (RGB)</option>
-                      <option value="oklab">OKLAB (Modern Perceptual)</option>
+                      <option value="cie94">CIE94 (ΔE94)</option>
                       <option value="ciede2000">CIEDE2000 (Best Quality)</option>
+                      <option value="oklab">OKLAB (Modern Perceptual)</option>
                     </select>
                   </div>
                 </div>
               </div>
 
+              <!-- PALETTE SECTION -->
+              <div class="pp-section" id="pp-palette-section">
+                <div class="pp-section-title">
+                  <span>🎨 Palette</span>
+                  <span class="pp-slider-value" id="pp-palette-count"></span>
+                </div>
+                <div class="pp-section-content">
+                  <div class="pp-description">Click a color to leave it out of this project</div>
+                  <div class="pp-palette-toggles" id="pp-palette-toggles"></div>
+                  <button class="pp-btn pp-btn-small" id="pp-palette-reset">Use All Colors</button>
+                  
+                  <div class="pp-slider-control">
+                    <div class="pp-slider-header">
+                      <span>Max Colors</span>
+                      <span class="pp-slider-value" data-for="pp-max-colors">All</span>
+                    </div>
+                    <input type="range" id="pp-max-colors" class="pp-slider" min="0" max="32" value="0">
+                    <div class="pp-description">Use only the N colors that fit the image best (0 = all)</div>
+                  </div>
+                </div>
+              </div>
+
               <!-- TRANSPARENCY SECTION -->
               <div class="pp-section" id="pp-transparency-section">
                 <div class="pp-section-title">
@@ -2362,6 +6063,15 @@
             <div class="pp-preview-wrapper" id="pp-preview-wrapper">
               <div class="pp-canvas-stack" id="pp-canvas-stack">
                 <canvas id="patplacer-proc-preview" class="pp-preview-canvas"></canvas>
+                <canvas id="pp-crop-canvas" class="pp-preview-canvas pp-crop-canvas" style="display: none;"></canvas>
+              </div>
+            </div>
+            
+            <!-- Worker progress -->
+            <div class="pp-preview-progress" id="pp-preview-progress" style="display: none;">
+              <span class="pp-preview-progress-label" id="pp-preview-progress-label">Processing...</span>
+              <div class="pp-preview-progress-bar">
+                <div class="pp-preview-progress-fill" id="pp-preview-progress-fill" style="width: 0%"></div>
               </div>
             </div>
             
@@ -2407,6 +6117,61 @@
     overlay.querySelector('#patplacer-proc-close').addEventListener('click', hideProcessingPanel);
     overlay.querySelector('#patplacer-proc-cancel').addEventListener('click', hideProcessingPanel);
     
+    // Presets
+    const presetSelect = panel.querySelector('#pp-preset-select');
+    updatePresetSelect();
+    presetSelect.addEventListener('change', () => {
+      const preset = PatPlacerPresets.find(presetSelect.value);
+      if (preset) PatPlacerPresets.apply(preset);
+      updatePresetSelect(presetSelect.value);
+    });
+    // Any manual change makes the settings custom again
+    panel.querySelector('.pp-resize-config-scroll').addEventListener('input', (e) => {
+      if (!e.target.closest('.pp-preset-bar')) presetSelect.value = '';
+    });
+    panel.querySelector('.pp-resize-config-scroll').addEventListener('change', (e) => {
+      if (!e.target.closest('.pp-preset-bar') && e.target.id !== 'pp-lock-aspect') presetSelect.value = '';
+    });
+    panel.querySelector('#pp-preset-save').addEventListener('click', () => {
+      const current = PatPlacerPresets.find(presetSelect.value);
+      const name = prompt('Preset name', current && presetSelect.value.startsWith('user:') ? current.name : '');
+      if (!name || !name.trim()) return;
+      if (PatPlacerPresets.BUILT_IN.some(p => p.name === name.trim())) {
+        updateStatus('That name belongs to a built-in preset');
+        return;
+      }
+      PatPlacerPresets.saveCurrent(name.trim());
+      updatePresetSelect(`user:${name.trim()}`);
+      updateStatus(`Preset "${name.trim()}" saved`);
+    });
+    panel.querySelector('#pp-preset-delete').addEventListener('click', () => {
+      const preset = PatPlacerPresets.find(presetSelect.value);
+      if (!preset || !presetSelect.value.startsWith('user:')) return;
+      if (!confirm(`Delete preset "${preset.name}"?`)) return;
+      PatPlacerPresets.remove(preset.name);
+      updatePresetSelect();
+    });
+    panel.querySelector('#pp-preset-export').addEventListener('click', () => {
+      const preset = PatPlacerPresets.find(presetSelect.value) ||
+        { name: 'Custom', keepSize: false, settings: PatPlacerPresets.capture() };
+      PatPlacerPresets.exportToFile(preset);
+    });
+    const presetImportInput = panel.querySelector('#pp-preset-import-input');
+    panel.querySelector('#pp-preset-import').addEventListener('click', () => presetImportInput.click());
+    presetImportInput.addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (!file) return;
+      try {
+        const count = await PatPlacerPresets.importFromFile(file);
+        updatePresetSelect(presetSelect.value);
+        updateStatus(`Imported ${count} preset${count === 1 ? '' : 's'}`);
+      } catch (err) {
+        console.error('[PatPlacer] Preset import failed:', err);
+        updateStatus('Error importing presets: Invalid format');
+      }
+    });
+    
     // Size inputs with aspect ratio lock
     const widthInput = panel.querySelector('#pp-resize-width');
     const heightInput = panel.querySelector('#pp-resize-height');
@@ -2415,8 +6180,9 @@
     widthInput.addEventListener('change', () => {
       processingSettings.width = parseInt(widthInput.value) || 1;
       if (lockAspect.checked && state.originalWidth && state.originalHeight) {
-        const ratio = state.originalHeight / state.originalWidth;
-        processingSettings.height = Math.round(processingSettings.width * ratio);
+        const source = getProcessingSourceSize();
+        const ratio = source.height / source.width;
+        processingSettings.height = Math.max(1, Math.round(processingSettings.width * ratio));
         heightInput.value = processingSettings.height;
       }
       debouncePreview();
@@ -2425,13 +6191,44 @@
     heightInput.addEventListener('change', () => {
       processingSettings.height = parseInt(heightInput.value) || 1;
       if (lockAspect.checked && state.originalWidth && state.originalHeight) {
-        const ratio = state.originalWidth / state.originalHeight;
-        processingSettings.width = Math.round(processingSettings.height * ratio);
+        const source = getProcessingSourceSize();
+        const ratio = source.width / source.height;
+        processingSettings.width = Math.max(1, Math.round(processingSettings.height * ratio));
         widthInput.value = processingSettings.width;
       }
       debouncePreview();
     });
     
+    // Crop & Orient
+    panel.querySelector('#pp-crop-toggle').addEventListener('click', () => {
+      if (cropEditor) exitCropMode(true);
+      else enterCropMode();
+    });
+    panel.querySelector('#pp-crop-reset').addEventListener('click', () => {
+      if (cropEditor) exitCropMode(false);
+      setProcessingTransform({ crop: null });
+    });
+    panel.querySelector('#pp-rotate-left').addEventListener('click', () => {
+      setProcessingTransform({ rotate: (processingSettings.rotate + 270) % 360 });
+    });
+    panel.querySelector('#pp-rotate-right').addEventListener('click', () => {
+      setProcessingTransform({ rotate: (processingSettings.rotate + 90) % 360 });
+    });
+    panel.querySelector('#pp-rotate-180').addEventListener('click', () => {
+      setProcessingTransform({ rotate: (processingSettings.rotate + 180) % 360 });
+    });
+    panel.querySelector('#pp-flip-h').addEventListener('click', () => {
+      setProcessingTransform({ flipH: !processingSettings.flipH });
+    });
+    panel.querySelector('#pp-flip-v').addEventListener('click', () => {
+      setProcessingTransform({ flipV: !processingSettings.flipV });
+    });
+    panel.querySelector('#pp-free-rotation').addEventListener('input', (e) => {
+      panel.querySelector('[data-for="pp-free-rotation"]').textContent = `${e.target.value}°`;
+      setProcessingTransform({ freeRotation: parseInt(e.target.value) });
+    });
+    setupCropCanvasEvents(panel.querySelector('#pp-crop-canvas'));
+    
     // Resampling
     panel.querySelector('#pp-resampling').addEventListener('change', (e) => {
       processingSettings.resamplingMethod = e.target.value;
@@ -2495,6 +6292,34 @@
       debouncePreview();
     });
     
+    // Palette include/exclude (swatches are re-rendered)
+    panel.querySelector('#pp-palette-toggles').addEventListener('click', (e) => {
+      const swatch = e.target.closest('[data-color-id]');
+      if (!swatch) return;
+      const id = parseInt(swatch.dataset.colorId, 10);
+      const excluded = processingSettings.excludedColors;
+      if (excluded.includes(id)) {
+        processingSettings.excludedColors = excluded.filter(c => c !== id);
+      } else if (CONFIG.COLOR_PALETTE.some(c => c.id !== id && !excluded.includes(c.id))) {
+        processingSettings.excludedColors = [...excluded, id];
+      } else {
+        updateStatus('Keep at least one color');
+        return;
+      }
+      updatePaletteToggles();
+      debouncePreview();
+    });
+    panel.querySelector('#pp-palette-reset').addEventListener('click', () => {
+      processingSettings.excludedColors = [];
+      updatePaletteToggles();
+      debouncePreview();
+    });
+    panel.querySelector('#pp-max-colors').addEventListener('input', (e) => {
+      processingSettings.maxColors = parseInt(e.target.value);
+      panel.querySelector('[data-for="pp-max-colors"]').textContent = processingSettings.maxColors || 'All';
+      debouncePreview();
+    });
+    
     // Color Correction toggle
     const colorCorrectionToggle = panel.querySelector('#pp-color-correction-toggle');
     const colorCorrectionControls = panel.querySelector('#pp-color-correction-controls');
@@ -2552,6 +6377,12 @@
     });
     
     // Post-Processing Sliders
+    panel.querySelector('#pp-posterize').addEventListener('input', (e) => {
+      processingSettings.posterize = parseInt(e.target.value);
+      panel.querySelector('[data-for="pp-posterize"]').textContent = e.target.value;
+      debouncePreview();
+    });
+    
     panel.querySelector('#pp-mode-filter').addEventListener('input', (e) => {
       processingSettings.modeFilter = parseInt(e.target.value);
       panel.querySelector('[data-for="pp-mode-filter"]').textContent = e.target.value;
@@ -2609,7 +6440,7 @@
     });
     
     panel.querySelector('#pp-zoom-fit').addEventListener('click', () => {
-      const canvas = panel.querySelector('#patplacer-proc-preview');
+      const canvas = panel.querySelector(cropEditor ? '#pp-crop-canvas' : '#patplacer-proc-preview');
       if (canvas && previewWrapper) {
         const wrapperRect = previewWrapper.getBoundingClientRect();
         const fitX = (wrapperRect.width - 40) / canvas.width;
@@ -2677,53 +6508,22 @@
     }
     
     try {
-      // Initialize processor if needed
-      if (!imageProcessor) {
-        if (window.PatPlacerImageProcessor) {
-          imageProcessor = new window.PatPlacerImageProcessor();
-        } else {
-          console.warn('[PatPlacer] Image processor not available for default processing');
-          // Fallback: just use original with basic quantization
-          return;
-        }
+      if (!window.PatPlacerImageProcessor) {
+        console.warn('[PatPlacer] Image processor not available for default processing');
+        // Fallback: just use original with basic quantization
+        return;
       }
       
-      await imageProcessor.loadFromBitmap(state.originalBitmap);
-      
-      // Apply default resize (to processingSettings.width x processingSettings.height)
-      // Default resampling is 'nearest'
-      imageProcessor.resize(
-        processingSettings.width,
-        processingSettings.height,
-        processingSettings.resamplingMethod || 'nearest'
-      );
-      
-      // Apply default quantization (no dithering by default)
-      // Default color matching is 'lab'
-      const transparencyOptions = {
-        paintTransparentPixels: processingSettings.paintTransparent || false,
-        paintWhitePixels: processingSettings.paintWhite !== false,
-        transparencyThreshold: processingSettings.transparencyThreshold || 128,
-        whiteThreshold: processingSettings.whiteThreshold || 230
-      };
-      
-      imageProcessor.quantize(
-        CONFIG.COLOR_PALETTE,
-        processingSettings.colorMatchingMethod || 'lab',
-        transparencyOptions
-      );
-      
-      // Get result
-      const resultCanvas = imageProcessor.getCanvas();
-      state.imageBitmap = await createImageBitmap(resultCanvas);
-      state.imageWidth = resultCanvas.width;
-      state.imageHeight = resultCanvas.height;
+      // Defaults are a nearest resize + Lab quantization (no dithering)
+      const result = await runProcessingJob(processingSettings);
+      if (!result) return;
       
-      // Get ImageData for buildPixelList
-      const ctx = resultCanvas.getContext('2d');
-      state.imageData = ctx.getImageData(0, 0, resultCanvas.width, resultCanvas.height);
+      state.imageBitmap = await createImageBitmap(result);
+      state.imageWidth = result.width;
+      state.imageHeight = result.height;
+      state.imageData = result;
       
-      console.log(`[PatPlacer] Applied default processing: ${resultCanvas.width}×${resultCanvas.height}`);
+      console.log(`[PatPlacer] Applied default processing: ${result.width}×${result.height}`);
     } catch (error) {
       console.error('[PatPlacer] Error applying default processing:', error);
       // On error, fall back to original behavior
@@ -2742,101 +6542,23 @@
     updateStatus('Applying processing...');
     
     try {
-      // Process image (same as preview but save result)
-      if (!imageProcessor) {
-        if (window.PatPlacerImageProcessor) {
-          imageProcessor = new window.PatPlacerImageProcessor();
-        } else {
-          updateStatus('Error: Image processor not available');
-          return;
-        }
-      }
-      
-      await imageProcessor.loadFromBitmap(state.originalBitmap);
-      
-      // Apply color corrections
-      if (processingSettings.brightness !== 0 || processingSettings.contrast !== 0 || processingSettings.saturation !== 0 || processingSettings.hue !== 0 || processingSettings.gamma !== 100) {
-        imageProcessor.adjustColors({
-          brightness: processingSettings.brightness,
-          contrast: processingSettings.contrast,
-          saturation: processingSettings.saturation,
-          hue: processingSettings.hue,
-          gamma: processingSettings.gamma / 100
-        });
-      }
-      
-      // Apply blur (only if blur mode is not 'none' and radius > 0)
-      if (processingSettings.blur > 0 && processingSettings.blurMode && processingSettings.blurMode !== 'none') {
-        imageProcessor.blur(processingSettings.blurMode, processingSettings.blur);
-      }
-      
-      // Apply sharpen
-      if (processingSettings.sharpen > 0) {
-        imageProcessor.sharpen(processingSettings.sharpen / 100);
-      }
-      
-      // Resize
-      imageProcessor.resize(
-        processingSettings.width,
-        processingSettings.height,
-        processingSettings.resamplingMethod
-      );
-
-      // Edge Detection
-      if (processingSettings.edgeThickness > 0) {
-        imageProcessor.edgeOverlay(
-          processingSettings.edgeAlgorithm || 'sobel',
-          processingSettings.edgeThreshold || 60,
-          processingSettings.edgeThickness,
-          processingSettings.edgeThin || false
-        );
-      }
-
-      // Post-Processing
-      if (processingSettings.posterize < 32) {
-        imageProcessor.posterize(processingSettings.posterize);
-      }
-      if (processingSettings.modeFilter > 0) {
-        imageProcessor.modeFilter(processingSettings.modeFilter);
-      }
-      if (processingSettings.simplify > 0) {
-        imageProcessor.simplify(processingSettings.simplify);
-      }
-      if (processingSettings.erode > 0) {
-        imageProcessor.erode(processingSettings.erode);
+      if (!window.PatPlacerImageProcessor) {
+        updateStatus('Error: Image processor not available');
+        return;
       }
       
-      // Transparency options
-      const transparencyOptions = {
-        paintTransparentPixels: processingSettings.paintTransparent,
-        paintWhitePixels: processingSettings.paintWhite,
-        transparencyThreshold: processingSettings.transparencyThreshold,
-        whiteThreshold: processingSettings.whiteThreshold
-      };
-
-      // Apply dithering or quantize
-      if (processingSettings.ditheringEnabled) {
-        imageProcessor.dither(
-          processingSettings.ditheringMethod,
-          CONFIG.COLOR_PALETTE,
-          processingSettings.ditheringStrength,
-          processingSettings.colorMatchingMethod,
-          transparencyOptions
-        );
-      } else {
-        imageProcessor.quantize(
-          CONFIG.COLOR_PALETTE, 
-          processingSettings.colorMatchingMethod,
-          transparencyOptions
-        );
+      // Process image (same as preview but keep the result)
+      const result = await runProcessingJob(processingSettings, updatePreviewProgress);
+      if (!result) {
+        updateStatus('Processing cancelled');
+        return;
       }
+      updatePreviewProgress('Done', 1);
       
-      // Get final result
-      const resultCanvas = imageProcessor.getCanvas();
-      state.imageBitmap = await createImageBitmap(resultCanvas);
-      state.imageWidth = resultCanvas.width;
-      state.imageHeight = resultCanvas.height;
-      state.imageData = resultCanvas.getContext('2d').getImageData(0, 0, resultCanvas.width, resultCanvas.height);
+      state.imageBitmap = await createImageBitmap(result);
+      state.imageWidth = result.width;
+      state.imageHeight = result.height;
+      state.imageData = result;
       state.imageLoaded = true;
       
       // Build pixel list
@@ -2853,7 +6575,7 @@
       const statPixels = document.getElementById('patplacer-stat-pixels');
       const imageStatus = document.getElementById('patplacer-image-status');
       
-      if (statSize) statSize.textContent = `${resultCanvas.width}×${resultCanvas.height}`;
+      if (statSize) statSize.textContent = `${result.width}×${result.height}`;
       if (statPixels) statPixels.textContent = formatNumber(state.allPixels.length);
       if (imageStatus) {
         imageStatus.textContent = 'READY';
@@ -2872,6 +6594,7 @@
       }
     } catch (error) {
       console.error('[PatPlacer] Apply error:', error);
+      updatePreviewProgress('Error', 1);
       updateStatus('Error applying processing');
     }
   }
@@ -2939,9 +6662,6 @@
     state.allPixels = [];
     const data = state.imageData.data;
     const width = state.imageWidth;
-    
-    // Debug: Track color usage
-    const colorUsage = new Map();
 
     for (let y = 0; y < state.imageHeight; y++) {
       for (let x = 0; x < state.imageWidth; x++) {
@@ -2965,18 +6685,14 @@
             b: color.b,
             colorIdx: color.id
           });
-          
-          // Track color usage for debugging
-          const key = `idx=${color.id} (${color.hex})`;
-          colorUsage.set(key, (colorUsage.get(key) || 0) + 1);
         }
       }
     }
 
     // Debug: Log color distribution
     console.log('[PatPlacer] Color distribution in processed image:');
-    for (const [color, count] of colorUsage.entries()) {
-      console.log(`  ${color}: ${count} pixels`);
+    for (const { id, color, count } of getColorUsage()) {
+      console.log(`  idx=${id} (${color ? color.hex : '?'}): ${count} pixels`);
     }
 
     // Update UI
@@ -2986,14 +6702,11 @@
     const totalPixelsEl = document.getElementById('patplacer-total-pixels');
     if (totalPixelsEl) totalPixelsEl.textContent = state.allPixels.length.toLocaleString();
     
-    // Update info panel total
-    const infoTotalEl = document.getElementById('patplacer-info-total');
-    if (infoTotalEl) infoTotalEl.textContent = state.allPixels.length.toLocaleString();
-    
     // Reset batch progress if image changes
-    state.currentBatchIndex = 0;
+    resetPlacementProgress();
     state.placedPixels = [];
     updateBatchUI();
+    updateColorRemapPanel();
     
     console.log(`[PatPlacer] Built pixel list: ${state.allPixels.length} pixels`);
   }
@@ -3002,14 +6715,15 @@
    * Find exact color match first, then fall back to closest
    */
   function findExactOrClosestColor(r, g, b) {
+    const palette = getProjectPalette();
     // First try exact match
-    for (const color of CONFIG.COLOR_PALETTE) {
+    for (const color of palette) {
       if (color.r === r && color.g === g && color.b === b) {
         return color;
       }
     }
     // Fall back to closest
-    return findClosestColor(r, g, b);
+    return findClosestColor(r, g, b, palette);
   }
 
   /**
@@ -3028,6 +6742,7 @@
         // Ensure charges are integers (floor to be safe)
         state.currentCharges = Math.floor(data.charges?.count ?? 0);
         state.maxCharges = Math.floor(data.charges?.max ?? 1);
+        if (data.id !== undefined && data.id !== null) state.accountId = String(data.id);
       }
     } catch (e) {
       console.warn('[PatPlacer] Error fetching charges:', e);
@@ -3047,23 +6762,30 @@
    * Update batch-related UI elements
    */
   function updateBatchUI() {
-    const remaining = state.allPixels.length - state.currentBatchIndex;
+    const remaining = getRemainingCount();
     const btnTextEl = document.getElementById('patplacer-btn-text');
     
-    // Update info panel progress
-    const infoPlaced = document.getElementById('patplacer-info-placed');
-    const infoTotal = document.getElementById('patplacer-info-total');
+    // Update info panel progress: correct / wrong / missing
+    const infoCorrect = document.getElementById('patplacer-info-correct');
+    const infoWrong = document.getElementById('patplacer-info-wrong');
+    const infoMissing = document.getElementById('patplacer-info-missing');
     const infoFill = document.getElementById('patplacer-info-progress-fill');
     
-    if (infoPlaced) infoPlaced.textContent = state.currentBatchIndex.toLocaleString();
-    if (infoTotal) infoTotal.textContent = state.allPixels.length.toLocaleString();
+    const wrong = state.statusCounts ? state.statusCounts[PIXEL_STATUS.OVERWRITTEN] : 0;
+    if (infoCorrect) infoCorrect.textContent = state.placedCount.toLocaleString();
+    if (infoWrong) infoWrong.textContent = wrong.toLocaleString();
+    if (infoMissing) infoMissing.textContent = (state.allPixels.length - state.placedCount - wrong).toLocaleString();
     if (infoFill && state.allPixels.length > 0) {
-      const percent = (state.currentBatchIndex / state.allPixels.length) * 100;
+      const percent = (state.placedCount / state.allPixels.length) * 100;
       infoFill.style.width = `${percent}%`;
     }
     
-    if (state.allPixels.length > 0) {
-      if (state.currentBatchIndex === 0) {
+    if (state.allPixels.length > 0 && state.guardEnabled) {
+      // Guard mode: batches only repair damaged pixels
+      const repairBatchSize = Math.floor(Math.min(Math.max(0, state.currentCharges - 2), remaining));
+      btnTextEl.textContent = remaining > 0 ? `Repair Batch (${repairBatchSize} pixels)` : '🛡 No Damage';
+    } else if (state.allPixels.length > 0) {
+      if (state.placedCount === 0) {
         // First batch: subtract 2 for safety buffer
         const firstBatchSize = Math.floor(Math.min(Math.max(0, state.currentCharges - 2), remaining));
         btnTextEl.textContent = `Place Batch (${firstBatchSize} pixels)`;
@@ -3077,6 +6799,8 @@
     } else {
       btnTextEl.textContent = 'Place Batch';
     }
+    
+    if (state.templates.length > 1) updateTemplatesList();
   }
 
   // ============================================================
@@ -3124,135 +6848,828 @@
       return;
     }
     
-    // Already hooked? Don't double-hook
-    if (state.originalMapSet) {
-      console.log('[PatPlacer] Hook already active');
-      return;
-    }
+    // Already hooked? Don't double-hook
+    if (state.originalMapSet) {
+      console.log('[PatPlacer] Hook already active');
+      return;
+    }
+    
+    // Store reference to the NATIVE Map.prototype.set before we override it
+    const nativeMapSet = Map.prototype.set;
+    state.originalMapSet = nativeMapSet;
+    
+    Map.prototype.set = function(key, value) {
+      // Check if this is a pixel draft using regex pattern
+      if (typeof key === 'string' && DRAFT_KEY_PATTERN.test(key)) {
+        
+        // Capture the Map reference
+        state.pixelDraftMap = this;
+        
+        console.log('[PatPlacer] ✓ Draft Map captured!');
+        console.log('[PatPlacer]   Key:', key);
+        console.log('[PatPlacer]   Map size:', this.size);
+        
+        // IMMEDIATELY restore original Map.prototype.set - no ongoing pollution!
+        Map.prototype.set = nativeMapSet;
+        console.log('[PatPlacer] ✓ Map.prototype.set restored - no ongoing hook');
+        
+        // If we're actively listening for anchor, handle it
+        if (state.draftListenerActive) {
+          handleDraftDetected(key, value);
+        }
+      }
+      
+      // Call the native set function (captured in closure, not via prototype)
+      return nativeMapSet.call(this, key, value);
+    };
+    
+    console.log('[PatPlacer] Temporary Map.prototype.set hook active');
+    console.log('[PatPlacer] Hook will auto-remove after capturing draft Map');
+  }
+
+  // Emergency cleanup - normally not needed since hook auto-removes
+  function unhookDraftMap() {
+    if (state.originalMapSet && Map.prototype.set !== state.originalMapSet) {
+      Map.prototype.set = state.originalMapSet;
+      state.originalMapSet = null;
+      console.log('[PatPlacer] Map.prototype.set manually restored (emergency cleanup)');
+    }
+  }
+
+  function handleDraftDetected(key, value) {
+    // Parse the key: "t=(tileX,tileY);p=(pixelX,pixelY);s=0"
+    const tileMatch = key.match(/t=\((\d+),(\d+)\)/);
+    const pixelMatch = key.match(/p=\((\d+),(\d+)\)/);
+
+    if (tileMatch && pixelMatch) {
+      const tileX = parseInt(tileMatch[1]);
+      const tileY = parseInt(tileMatch[2]);
+      const pixelX = parseInt(pixelMatch[1]);
+      const pixelY = parseInt(pixelMatch[2]);
+
+      // IMPORTANT: Learn the colorIdx mapping from wplace's own draft
+      // This is the REAL colorIdx that wplace uses, so we should use this to correct our palette
+      if (value.colorIdx !== undefined && value.color) {
+        const realIdx = value.colorIdx;
+        const realColor = value.color;
+        console.log(`[PatPlacer] Learning color mapping: colorIdx=${realIdx} -> RGB(${realColor.r}, ${realColor.g}, ${realColor.b}) = ${rgbToHex(realColor.r, realColor.g, realColor.b)}`);
+        
+        // UPDATE our palette to match wplace's REAL colorIdx
+        // Find if we have a color with similar RGB and fix its ID
+        const existingIdx = CONFIG.COLOR_PALETTE.findIndex(c => 
+          c.r === realColor.r && c.g === realColor.g && c.b === realColor.b
+        );
+        
+        if (existingIdx !== -1) {
+          const oldId = CONFIG.COLOR_PALETTE[existingIdx].id;
+          if (oldId !== realIdx) {
+            console.log(`[PatPlacer] FIXING palette: RGB(${realColor.r},${realColor.g},${realColor.b}) was idx ${oldId}, should be ${realIdx}`);
+            CONFIG.COLOR_PALETTE[existingIdx].id = realIdx;
+          }
+        } else {
+          // Color not in our palette - add it
+          console.log(`[PatPlacer] ADDING to palette: idx ${realIdx} = RGB(${realColor.r},${realColor.g},${realColor.b})`);
+          CONFIG.COLOR_PALETTE.push({
+            id: realIdx,
+            r: realColor.r,
+            g: realColor.g,
+            b: realColor.b,
+            hex: rgbToHex(realColor.r, realColor.g, realColor.b)
+          });
+        }
+      }
+
+      stopDraftCapture();
+      setAnchor({ x: tileX, y: tileY }, { x: pixelX, y: pixelY });
+    }
+  }
+
+  /**
+   * Set the anchor (from a captured draft or typed coordinates)
+   * @param {Object} tile - {x, y}
+   * @param {Object} pixel - {x, y}
+   */
+  function setAnchor(tile, pixel) {
+    const { x: tileX, y: tileY } = tile;
+    const { x: pixelX, y: pixelY } = pixel;
+    state.anchorTile = { x: tileX, y: tileY };
+    state.anchorPixel = { x: pixelX, y: pixelY };
+    state.anchorSet = true;
+
+    // Update UI
+    document.getElementById('patplacer-tile-pos').textContent = `(${tileX}, ${tileY})`;
+    document.getElementById('patplacer-pixel-pos').textContent = `(${pixelX}, ${pixelY})`;
+    
+    // Show Move button now that anchor is set
+    const moveBtn = document.getElementById('patplacer-move-btn');
+    if (moveBtn) moveBtn.style.display = '';
+    const guardBtn = document.getElementById('patplacer-guard-btn');
+    if (guardBtn) guardBtn.style.display = '';
+    
+    // Check if anchor matches saved anchor (if we have one from a loaded save)
+    if (state.savedAnchor) {
+      const matches = checkAnchorMatchesSaved();
+      if (matches) {
+        updateStatus(`✓ Anchor set at saved position: tile (${tileX}, ${tileY}), pixel (${pixelX}, ${pixelY})`);
+        hideSavedAnchorArrow();
+      } else {
+        // Anchor doesn't match - warn user but allow it
+        const savedTile = state.savedAnchor.tile;
+        const savedPixel = state.savedAnchor.pixel;
+        updateStatus(`⚠️ Anchor differs from save! Current: (${tileX},${tileY})/(${pixelX},${pixelY}) | Saved: (${savedTile.x},${savedTile.y})/(${savedPixel.x},${savedPixel.y})`);
+        // Keep arrow visible so user can see the saved position
+      }
+    } else {
+      updateStatus(`Anchor set at tile (${tileX}, ${tileY}), pixel (${pixelX}, ${pixelY})`);
+    }
+    
+    updatePlaceButtonState();
+
+    // Auto-enable template overlay when anchor is set and image is loaded
+    if (state.imageLoaded) {
+      enableTemplateOverlay();
+    }
+  }
+
+  // ============================================================
+  // ANCHOR COORDINATES
+  // ============================================================
+  // wplace's map is Web Mercator: MAP_TILES × MAP_TILES tiles of TILE_SIZE
+  // pixels each, so a global pixel converts directly to lat/lng.
+  
+  /**
+   * Check that a tile/pixel pair is on the wplace map
+   * @returns {string|null} - Error message, null if valid
+   */
+  function validateAnchorCoords(tile, pixel) {
+    const inRange = (v, max) => Number.isInteger(v) && v >= 0 && v < max;
+    if (!inRange(tile.x, CONFIG.MAP_TILES) || !inRange(tile.y, CONFIG.MAP_TILES)) {
+      return `Tile must be whole numbers from 0 to ${CONFIG.MAP_TILES - 1}`;
+    }
+    if (!inRange(pixel.x, CONFIG.TILE_SIZE) || !inRange(pixel.y, CONFIG.TILE_SIZE)) {
+      return `Pixel must be whole numbers from 0 to ${CONFIG.TILE_SIZE - 1}`;
+    }
+    return null;
+  }
+  
+  /**
+   * Center of a wplace pixel in degrees
+   * @returns {Object} - {lat, lng}
+   */
+  function tilePixelToLatLng(tile, pixel) {
+    const worldSize = CONFIG.MAP_TILES * CONFIG.TILE_SIZE;
+    const gx = tile.x * CONFIG.TILE_SIZE + pixel.x + 0.5;
+    const gy = tile.y * CONFIG.TILE_SIZE + pixel.y + 0.5;
+    const lng = gx / worldSize * 360 - 180;
+    const lat = Math.atan(Math.sinh(Math.PI * (1 - 2 * gy / worldSize))) * 180 / Math.PI;
+    return { lat, lng };
+  }
+  
+  /**
+   * wplace pixel containing a lat/lng
+   * @returns {Object|null} - {tile, pixel}, null if off the map
+   */
+  function latLngToTilePixel(lat, lng) {
+    const worldSize = CONFIG.MAP_TILES * CONFIG.TILE_SIZE;
+    const latRad = lat * Math.PI / 180;
+    const gx = Math.floor((lng + 180) / 360 * worldSize);
+    const gy = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * worldSize);
+    if (!Number.isFinite(gy) || gx < 0 || gy < 0 || gx >= worldSize || gy >= worldSize) return null;
+    return {
+      tile: { x: Math.floor(gx / CONFIG.TILE_SIZE), y: Math.floor(gy / CONFIG.TILE_SIZE) },
+      pixel: { x: gx % CONFIG.TILE_SIZE, y: gy % CONFIG.TILE_SIZE }
+    };
+  }
+  
+  /**
+   * wplace link centered on a pixel
+   */
+  function buildWplaceLink(tile, pixel, zoom = CONFIG.MAP_LINK_ZOOM) {
+    const { lat, lng } = tilePixelToLatLng(tile, pixel);
+    return `${location.origin}/?lat=${lat.toFixed(7)}&lng=${lng.toFixed(7)}&zoom=${zoom}`;
+  }
+  
+  /**
+   * Parse typed coordinates or a wplace link
+   * Accepts "tileX, tileY, pixelX, pixelY", "lat, lng" or a URL with lat/lng params
+   * @param {string} text
+   * @returns {Object} - {tile, pixel}
+   * @throws {Error} - With a message for the user
+   */
+  function parseAnchorInput(text) {
+    text = text.trim();
+    let lat, lng;
+    if (/^https?:\/\//i.test(text)) {
+      let url;
+      try {
+        url = new URL(text);
+      } catch (e) {
+        throw new Error('Not a valid link');
+      }
+      lat = parseFloat(url.searchParams.get('lat'));
+      lng = parseFloat(url.searchParams.get('lng'));
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+        throw new Error('Link has no lat/lng - use "Share" on wplace to copy one');
+      }
+    } else {
+      const numbers = text.split(/[\s,;/]+/).filter(Boolean).map(Number);
+      if (numbers.some(n => !Number.isFinite(n))) {
+        throw new Error('Enter numbers or a wplace link');
+      }
+      if (numbers.length === 4) {
+        const [tx, ty, px, py] = numbers;
+        const coords = { tile: { x: tx, y: ty }, pixel: { x: px, y: py } };
+        const error = validateAnchorCoords(coords.tile, coords.pixel);
+        if (error) throw new Error(error);
+        return coords;
+      }
+      if (numbers.length !== 2) {
+        throw new Error('Expected tile X, tile Y, pixel X, pixel Y - or lat, lng');
+      }
+      [lat, lng] = numbers;
+    }
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      throw new Error('Latitude must be within ±90 and longitude within ±180');
+    }
+    const coords = latLngToTilePixel(lat, lng);
+    if (!coords) throw new Error('Location is outside the wplace map');
+    return coords;
+  }
+  
+  function showAnchorCoordsPanel() {
+    if (document.getElementById('patplacer-coords-panel')) {
+      return;
+    }
+    
+    const coordsPanel = document.createElement('div');
+    coordsPanel.id = 'patplacer-coords-panel';
+    coordsPanel.className = 'pp-move-panel pp-coords-panel';
+    
+    coordsPanel.innerHTML = `
+      <div class="pp-move-header">
+        <span class="pp-move-title">Anchor Coordinates</span>
+        <button class="pp-move-close" id="patplacer-coords-close">✕</button>
+      </div>
+      <div class="pp-move-body">
+        <div class="pp-coords-grid">
+          <label>Tile X <input type="number" class="pp-input" id="pp-coords-tx" min="0" max="${CONFIG.MAP_TILES - 1}"></label>
+          <label>Tile Y <input type="number" class="pp-input" id="pp-coords-ty" min="0" max="${CONFIG.MAP_TILES - 1}"></label>
+          <label>Pixel X <input type="number" class="pp-input" id="pp-coords-px" min="0" max="${CONFIG.TILE_SIZE - 1}"></label>
+          <label>Pixel Y <input type="number" class="pp-input" id="pp-coords-py" min="0" max="${CONFIG.TILE_SIZE - 1}"></label>
+        </div>
+        <input type="text" class="pp-input" id="pp-coords-paste" placeholder="Paste a wplace link, lat, lng or 4 numbers">
+        <div class="pp-coords-latlng" id="pp-coords-latlng"></div>
+        <div class="pp-coords-error" id="pp-coords-error"></div>
+        <div class="pp-btn-row">
+          <button class="pp-btn pp-btn-small pp-btn-primary" id="pp-coords-set">Set Anchor</button>
+          <button class="pp-btn pp-btn-small" id="pp-coords-jump" title="Open this spot on the map (saves the project first)">Jump</button>
+          <button class="pp-btn pp-btn-small" id="pp-coords-copy" title="Copy a wplace link to this spot">Copy Link</button>
+        </div>
+      </div>
+    `;
+    
+    document.body.appendChild(coordsPanel);
+    
+    const stopDragging = makePanelDraggable(coordsPanel);
+    
+    const fields = {
+      tx: document.getElementById('pp-coords-tx'),
+      ty: document.getElementById('pp-coords-ty'),
+      px: document.getElementById('pp-coords-px'),
+      py: document.getElementById('pp-coords-py')
+    };
+    const latLngEl = document.getElementById('pp-coords-latlng');
+    const errorEl = document.getElementById('pp-coords-error');
+    
+    const readFields = () => {
+      const value = (input) => input.value.trim() === '' ? NaN : Number(input.value);
+      return {
+        tile: { x: value(fields.tx), y: value(fields.ty) },
+        pixel: { x: value(fields.px), y: value(fields.py) }
+      };
+    };
+    const writeFields = ({ tile, pixel }) => {
+      fields.tx.value = tile.x;
+      fields.ty.value = tile.y;
+      fields.px.value = pixel.x;
+      fields.py.value = pixel.y;
+    };
+    
+    // Validate the fields and show the matching lat/lng
+    const refresh = () => {
+      const { tile, pixel } = readFields();
+      const error = validateAnchorCoords(tile, pixel);
+      errorEl.textContent = Object.values(fields).some(input => input.value.trim() !== '') ? (error || '') : '';
+      if (error) {
+        latLngEl.textContent = '';
+      } else {
+        const { lat, lng } = tilePixelToLatLng(tile, pixel);
+        latLngEl.textContent = `lat ${lat.toFixed(6)}, lng ${lng.toFixed(6)}`;
+      }
+      return error ? null : { tile, pixel };
+    };
+    
+    // Start from the current anchor, or the saved one while it's not placed yet
+    if (state.anchorSet) {
+      writeFields({ tile: state.anchorTile, pixel: state.anchorPixel });
+    } else if (state.savedAnchor) {
+      writeFields(state.savedAnchor);
+    }
+    refresh();
+    
+    Object.values(fields).forEach(input => input.addEventListener('input', refresh));
+    
+    document.getElementById('pp-coords-paste').addEventListener('input', (e) => {
+      if (!e.target.value.trim()) return;
+      try {
+        writeFields(parseAnchorInput(e.target.value));
+        refresh();
+      } catch (err) {
+        errorEl.textContent = err.message;
+      }
+    });
+    
+    document.getElementById('pp-coords-set').addEventListener('click', () => {
+      const coords = refresh();
+      if (!coords) return;
+      if (state.draftListenerActive) stopDraftCapture();
+      setAnchor(coords.tile, coords.pixel);
+    });
+    
+    document.getElementById('pp-coords-copy').addEventListener('click', async () => {
+      const coords = refresh();
+      if (!coords) return;
+      const link = buildWplaceLink(coords.tile, coords.pixel);
+      try {
+        await navigator.clipboard.writeText(link);
+        updateStatus('Link copied to clipboard');
+      } catch (err) {
+        prompt('Copy this link', link);
+      }
+    });
+    
+    // wplace reads lat/lng on load, so jumping is a navigation
+    document.getElementById('pp-coords-jump').addEventListener('click', async () => {
+      const coords = refresh();
+      if (!coords) return;
+      if (state.allPixels.length > 0) await PatPlacerStorage.saveToLocal();
+      location.href = buildWplaceLink(coords.tile, coords.pixel);
+    });
+    
+    document.getElementById('patplacer-coords-close').addEventListener('click', () => {
+      stopDragging();
+      if (coordsPanel.parentNode) {
+        coordsPanel.parentNode.removeChild(coordsPanel);
+      }
+    });
+  }
+
+  // ============================================================
+  // PIXEL STATUS
+  // ============================================================
+  // Per-pixel completion state, one byte per allPixels entry
+  const PIXEL_STATUS = {
+    PENDING: 0,    // Not placed yet
+    DRAFTED: 1,    // Drafted on the map, not painted yet
+    CONFIRMED: 2,  // Seen in a successful paint request
+    VERIFIED: 3,   // Canvas shows the target color
+    OVERWRITTEN: 4, // Was complete, canvas now shows another color
+    MISSING: 5     // Was complete, canvas is empty at this position
+  };
+  
+  /**
+   * Reset per-pixel progress and position lookup for the current allPixels list
+   */
+  function resetPlacementProgress() {
+    state.pixelStatus = new Uint8Array(state.allPixels.length);
+    state.repairDrafts = new Map();
+    state.placedCount = 0;
+    state.statusCounts = new Uint32Array(6);
+    state.statusCounts[PIXEL_STATUS.PENDING] = state.allPixels.length;
+    state.tilePixelIndices = null;
+    state.tilePixelIndicesKey = null;
+    state.pendingSkippedCount = 0;
+    state.placementOrder = null;
+    state.placementOrderKey = null;
+    
+    // Template position -> allPixels index (-1 = no pixel)
+    let width = 0, height = 0;
+    for (const p of state.allPixels) {
+      if (p.x + 1 > width) width = p.x + 1;
+      if (p.y + 1 > height) height = p.y + 1;
+    }
+    const grid = new Int32Array(width * height).fill(-1);
+    state.allPixels.forEach((p, i) => { grid[p.y * width + p.x] = i; });
+    state.pixelIndex = { width, height, grid };
+  }
+  
+  /**
+   * Get the allPixels index at a template position
+   * @returns {number} - index, or -1 if there is no template pixel there
+   */
+  function getPixelIndexAt(x, y) {
+    const { width, height, grid } = state.pixelIndex;
+    if (x < 0 || y < 0 || x >= width || y >= height) return -1;
+    return grid[y * width + x];
+  }
+  
+  function isStatusComplete(status) {
+    return status === PIXEL_STATUS.CONFIRMED || status === PIXEL_STATUS.VERIFIED;
+  }
+  
+  function isPixelComplete(index) {
+    return isStatusComplete(state.pixelStatus[index]);
+  }
+  
+  function isStatusDamaged(status) {
+    return status === PIXEL_STATUS.OVERWRITTEN || status === PIXEL_STATUS.MISSING;
+  }
+  
+  function getDamagedCount() {
+    return state.statusCounts ? state.statusCounts[PIXEL_STATUS.OVERWRITTEN] + state.statusCounts[PIXEL_STATUS.MISSING] : 0;
+  }
+  
+  /**
+   * Pixels the next batch can work on - only damaged pixels while guarding
+   */
+  function getRemainingCount() {
+    return state.guardEnabled ? getDamagedCount() : state.allPixels.length - state.placedCount;
+  }
+  
+  function setPixelStatus(index, status) {
+    const previous = state.pixelStatus[index];
+    if (previous === status) return;
+    state.pixelStatus[index] = status;
+    state.statusCounts[previous]--;
+    state.statusCounts[status]++;
+    state.placedCount += (isStatusComplete(status) ? 1 : 0) - (isStatusComplete(previous) ? 1 : 0);
+  }
+  
+  /**
+   * Pixel status as saved: drafts don't survive a reload, and guard mode only
+   * queues damaged pixels, so drafted repairs go back to their damaged status
+   */
+  function getSavedPixelStatus() {
+    const status = state.pixelStatus.slice();
+    for (const [index, damaged] of state.repairDrafts) {
+      if (status[index] === PIXEL_STATUS.DRAFTED) status[index] = damaged;
+    }
+    return status;
+  }
+  
+  /**
+   * Recount statusCounts and placedCount from pixelStatus (after bulk changes)
+   */
+  function recountPixelStatus() {
+    const counts = new Uint32Array(6);
+    for (let i = 0; i < state.pixelStatus.length; i++) counts[state.pixelStatus[i]]++;
+    state.statusCounts = counts;
+    state.placedCount = counts[PIXEL_STATUS.CONFIRMED] + counts[PIXEL_STATUS.VERIFIED];
+  }
+  
+  /**
+   * Run-length encode a status array as flat [value, length, value, length, ...] pairs
+   * @param {Uint8Array} values
+   * @returns {number[]}
+   */
+  function encodeRuns(values) {
+    const runs = [];
+    if (!values || values.length === 0) return runs;
+    let current = values[0];
+    let length = 0;
+    for (let i = 0; i < values.length; i++) {
+      if (values[i] === current) {
+        length++;
+      } else {
+        runs.push(current, length);
+        current = values[i];
+        length = 1;
+      }
+    }
+    runs.push(current, length);
+    return runs;
+  }
+  
+  /**
+   * Decode pairs produced by encodeRuns into an existing array (extra runs are ignored)
+   */
+  function decodeRuns(runs, values) {
+    let pos = 0;
+    for (let i = 0; i + 1 < runs.length && pos < values.length; i += 2) {
+      const end = Math.min(values.length, pos + Math.max(0, runs[i + 1] | 0));
+      values.fill(runs[i] | 0, pos, end);
+      pos = end;
+    }
+  }
+  
+  /**
+   * Parse a wplace paint request into tile + per-pixel coords/colors
+   * @param {string} url - .../pixel/{tileX}/{tileY}
+   * @param {Object} body - Parsed JSON body {colors, coords}
+   * @returns {Object|null} - {tileX, tileY, coords, colors}
+   */
+  function parsePaintRequest(url, body) {
+    const match = url.match(/\/pixel\/(-?\d+)\/(-?\d+)/);
+    if (!match || !body || !Array.isArray(body.coords) || !Array.isArray(body.colors)) return null;
+    return {
+      tileX: parseInt(match[1], 10),
+      tileY: parseInt(match[2], 10),
+      coords: body.coords,
+      colors: body.colors
+    };
+  }
+  
+  /**
+   * Mark template pixels painted by a successful paint request as confirmed
+   * Only pixels painted with their target color count; repaired damage goes to the history
+   * @returns {number} - Newly confirmed pixels
+   */
+  function confirmPaintedPixels(paint) {
+    if (!state.anchorSet || !state.pixelStatus) return 0;
+    
+    const originX = state.anchorTile.x * CONFIG.TILE_SIZE + state.anchorPixel.x;
+    const originY = state.anchorTile.y * CONFIG.TILE_SIZE + state.anchorPixel.y;
+    let confirmed = 0;
+    let repaired = 0;
+    
+    for (let i = 0; i < paint.colors.length; i++) {
+      const px = paint.coords[i * 2];
+      const py = paint.coords[i * 2 + 1];
+      const index = getPixelIndexAt(
+        paint.tileX * CONFIG.TILE_SIZE + px - originX,
+        paint.tileY * CONFIG.TILE_SIZE + py - originY
+      );
+      if (index < 0 || isPixelComplete(index)) continue;
+      if (state.allPixels[index].colorIdx !== paint.colors[i]) continue;
+      
+      if (isStatusDamaged(state.pixelStatus[index]) || state.repairDrafts.has(index)) repaired++;
+      state.repairDrafts.delete(index);
+      setPixelStatus(index, PIXEL_STATUS.CONFIRMED);
+      confirmed++;
+    }
+    appendDamageHistory(`${paint.tileX},${paint.tileY}`, { damaged: 0, repaired });
+    return confirmed;
+  }
+
+  /**
+   * Group template pixel indices by absolute wplace tile for the current anchor
+   * @returns {Map<string, Int32Array>} - "tileX,tileY" -> allPixels indices
+   */
+  function getTilePixelIndices() {
+    const key = `${state.anchorTile.x},${state.anchorTile.y},${state.anchorPixel.x},${state.anchorPixel.y}`;
+    if (state.tilePixelIndices && state.tilePixelIndicesKey === key) return state.tilePixelIndices;
+    
+    const groups = new Map();
+    state.allPixels.forEach((p, i) => {
+      const tileX = state.anchorTile.x + Math.floor((state.anchorPixel.x + p.x) / CONFIG.TILE_SIZE);
+      const tileY = state.anchorTile.y + Math.floor((state.anchorPixel.y + p.y) / CONFIG.TILE_SIZE);
+      const tileKey = `${tileX},${tileY}`;
+      if (!groups.has(tileKey)) groups.set(tileKey, []);
+      groups.get(tileKey).push(i);
+    });
+    
+    state.tilePixelIndices = new Map();
+    for (const [tileKey, indices] of groups) state.tilePixelIndices.set(tileKey, Int32Array.from(indices));
+    state.tilePixelIndicesKey = key;
+    return state.tilePixelIndices;
+  }
+  
+  /**
+   * Create a cached resolveColorToId for scanning tile data
+   * @returns {Function} - (r, g, b) => palette id
+   */
+  function createColorIdLookup() {
+    const colorIds = new Map(); // packed rgb -> palette id
+    return (r, g, b) => {
+      const rgb = (r << 16) | (g << 8) | b;
+      let colorId = colorIds.get(rgb);
+      if (colorId === undefined) {
+        colorId = resolveColorToId(r, g, b);
+        colorIds.set(rgb, colorId);
+      }
+      return colorId;
+    };
+  }
+  
+  /**
+   * Compare every template pixel in a freshly cached tile with the canvas
+   * Correct pixels become VERIFIED; complete pixels and drafted repairs that don't
+   * show their color become OVERWRITTEN or MISSING
+   * @param {string} tileKey - "tileX,tileY"
+   * @returns {Object} - {changed, damaged, repaired} pixel counts
+   */
+  function verifyTile(tileKey) {
+    const result = { changed: 0, damaged: 0, repaired: 0 };
+    if (!state.anchorSet || !state.pixelStatus) return result;
+    const indices = getTilePixelIndices().get(tileKey);
+    const imageData = state.originalTilesData.get(tileKey);
+    if (!indices || !imageData) return result;
     
-    // Store reference to the NATIVE Map.prototype.set before we override it
-    const nativeMapSet = Map.prototype.set;
-    state.originalMapSet = nativeMapSet;
+    const data = imageData.data;
+    const colorIdAt = createColorIdLookup();
     
-    Map.prototype.set = function(key, value) {
-      // Check if this is a pixel draft using regex pattern
-      if (typeof key === 'string' && DRAFT_KEY_PATTERN.test(key)) {
-        
-        // Capture the Map reference
-        state.pixelDraftMap = this;
-        
-        console.log('[PatPlacer] ✓ Draft Map captured!');
-        console.log('[PatPlacer]   Key:', key);
-        console.log('[PatPlacer]   Map size:', this.size);
-        
-        // IMMEDIATELY restore original Map.prototype.set - no ongoing pollution!
-        Map.prototype.set = nativeMapSet;
-        console.log('[PatPlacer] ✓ Map.prototype.set restored - no ongoing hook');
-        
-        // If we're actively listening for anchor, handle it
-        if (state.draftListenerActive) {
-          handleDraftDetected(key, value);
+    for (const index of indices) {
+      const pixel = state.allPixels[index];
+      const status = state.pixelStatus[index];
+      const inX = (((state.anchorPixel.x + pixel.x) % CONFIG.TILE_SIZE) + CONFIG.TILE_SIZE) % CONFIG.TILE_SIZE;
+      const inY = (((state.anchorPixel.y + pixel.y) % CONFIG.TILE_SIZE) + CONFIG.TILE_SIZE) % CONFIG.TILE_SIZE;
+      const i = (inY * imageData.width + inX) * 4;
+      
+      // A drafted repair whose paint failed or was abandoned must stay in the guard queue
+      const repair = state.repairDrafts.has(index);
+      const expected = status !== PIXEL_STATUS.PENDING && (status !== PIXEL_STATUS.DRAFTED || repair);
+      
+      let next = status;
+      if (data[i + 3] < 128) {
+        if (expected) next = PIXEL_STATUS.MISSING;
+      } else {
+        if (colorIdAt(data[i], data[i + 1], data[i + 2]) === pixel.colorIdx) {
+          next = PIXEL_STATUS.VERIFIED;
+        } else if (expected) {
+          next = PIXEL_STATUS.OVERWRITTEN;
         }
       }
       
-      // Call the native set function (captured in closure, not via prototype)
-      return nativeMapSet.call(this, key, value);
-    };
+      if (next !== status) {
+        if (isStatusComplete(status) && isStatusDamaged(next)) result.damaged++;
+        if ((isStatusDamaged(status) || repair) && next === PIXEL_STATUS.VERIFIED) result.repaired++;
+        if (repair) state.repairDrafts.delete(index);
+        setPixelStatus(index, next);
+        result.changed++;
+      }
+    }
     
-    console.log('[PatPlacer] Temporary Map.prototype.set hook active');
-    console.log('[PatPlacer] Hook will auto-remove after capturing draft Map');
+    return result;
   }
 
-  // Emergency cleanup - normally not needed since hook auto-removes
-  function unhookDraftMap() {
-    if (state.originalMapSet && Map.prototype.set !== state.originalMapSet) {
-      Map.prototype.set = state.originalMapSet;
-      state.originalMapSet = null;
-      console.log('[PatPlacer] Map.prototype.set manually restored (emergency cleanup)');
+  // ============================================================
+  // PLACEMENT ORDER
+  // ============================================================
+  const PLACEMENT_STRATEGIES = ['raster', 'outline', 'color', 'spiral', 'random', 'tile', 'visible'];
+  const PLACEMENT_BLOCK_SIZE = 32; // Block size inside a wplace tile for the 'tile' strategy
+  
+  /**
+   * Get the placement order for the current strategy (cached until pixels, strategy or anchor change)
+   * @returns {Int32Array} - allPixels indices in placement order
+   */
+  function getPlacementOrder() {
+    const anchorKey = state.anchorSet
+      ? `${state.anchorTile.x},${state.anchorTile.y},${state.anchorPixel.x},${state.anchorPixel.y}`
+      : '-';
+    const key = `${state.placementStrategy}|${state.placementSeed}|${anchorKey}`;
+    
+    if (!state.placementOrder || state.placementOrderKey !== key ||
+        state.placementOrder.length !== state.allPixels.length) {
+      state.placementOrder = buildPlacementOrder(state.placementStrategy);
+      state.placementOrderKey = key;
     }
+    return state.placementOrder;
   }
-
-  function handleDraftDetected(key, value) {
-    // Parse the key: "t=(tileX,tileY);p=(pixelX,pixelY);s=0"
-    const tileMatch = key.match(/t=\((\d+),(\d+)\)/);
-    const pixelMatch = key.match(/p=\((\d+),(\d+)\)/);
-
-    if (tileMatch && pixelMatch) {
-      const tileX = parseInt(tileMatch[1]);
-      const tileY = parseInt(tileMatch[2]);
-      const pixelX = parseInt(pixelMatch[1]);
-      const pixelY = parseInt(pixelMatch[2]);
-
-      state.anchorTile = { x: tileX, y: tileY };
-      state.anchorPixel = { x: pixelX, y: pixelY };
-      state.anchorSet = true;
-
-      // IMPORTANT: Learn the colorIdx mapping from wplace's own draft
-      // This is the REAL colorIdx that wplace uses, so we should use this to correct our palette
-      if (value.colorIdx !== undefined && value.color) {
-        const realIdx = value.colorIdx;
-        const realColor = value.color;
-        console.log(`[PatPlacer] Learning color mapping: colorIdx=${realIdx} -> RGB(${realColor.r}, ${realColor.g}, ${realColor.b}) = ${rgbToHex(realColor.r, realColor.g, realColor.b)}`);
-        
-        // UPDATE our palette to match wplace's REAL colorIdx
-        // Find if we have a color with similar RGB and fix its ID
-        const existingIdx = CONFIG.COLOR_PALETTE.findIndex(c => 
-          c.r === realColor.r && c.g === realColor.g && c.b === realColor.b
-        );
-        
-        if (existingIdx !== -1) {
-          const oldId = CONFIG.COLOR_PALETTE[existingIdx].id;
-          if (oldId !== realIdx) {
-            console.log(`[PatPlacer] FIXING palette: RGB(${realColor.r},${realColor.g},${realColor.b}) was idx ${oldId}, should be ${realIdx}`);
-            CONFIG.COLOR_PALETTE[existingIdx].id = realIdx;
+  
+  /**
+   * Build a placement order for allPixels
+   * @param {string} strategy - One of PLACEMENT_STRATEGIES
+   * @returns {Int32Array}
+   */
+  function buildPlacementOrder(strategy) {
+    const pixels = state.allPixels;
+    const count = pixels.length;
+    const order = new Int32Array(count);
+    for (let i = 0; i < count; i++) order[i] = i;
+    if (count === 0 || strategy === 'raster') return order;
+    
+    const { width, height } = state.pixelIndex;
+    const neighbourAt = getPixelIndexAt;
+    
+    // Sort indices by numeric key; ties keep raster order
+    const sortByKey = (keys) => Array.from(order).sort((a, b) => (keys[a] - keys[b]) || (a - b));
+    
+    switch (strategy) {
+      case 'outline': {
+        // Pixels touching a transparent pixel or a different color go first
+        const keys = new Float64Array(count);
+        for (let i = 0; i < count; i++) {
+          const p = pixels[i];
+          let edge = false;
+          for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+            const n = neighbourAt(p.x + dx, p.y + dy);
+            if (n < 0 || pixels[n].colorIdx !== p.colorIdx) { edge = true; break; }
           }
-        } else {
-          // Color not in our palette - add it
-          console.log(`[PatPlacer] ADDING to palette: idx ${realIdx} = RGB(${realColor.r},${realColor.g},${realColor.b})`);
-          CONFIG.COLOR_PALETTE.push({
-            id: realIdx,
-            r: realColor.r,
-            g: realColor.g,
-            b: realColor.b,
-            hex: rgbToHex(realColor.r, realColor.g, realColor.b)
-          });
+          keys[i] = edge ? 0 : 1;
         }
+        return Int32Array.from(sortByKey(keys));
       }
-
-      // Update UI
-      document.getElementById('patplacer-tile-pos').textContent = `(${tileX}, ${tileY})`;
-      document.getElementById('patplacer-pixel-pos').textContent = `(${pixelX}, ${pixelY})`;
       
-      // Show Move button now that anchor is set
-      const moveBtn = document.getElementById('patplacer-move-btn');
-      if (moveBtn) moveBtn.style.display = '';
-
-      stopDraftCapture();
+      case 'color': {
+        // Group by color, most used color first
+        const usage = new Map();
+        for (const p of pixels) usage.set(p.colorIdx, (usage.get(p.colorIdx) || 0) + 1);
+        const rank = new Map([...usage.entries()]
+          .sort((a, b) => (b[1] - a[1]) || (a[0] - b[0]))
+          .map(([colorIdx], i) => [colorIdx, i]));
+        const keys = new Float64Array(count);
+        for (let i = 0; i < count; i++) keys[i] = rank.get(pixels[i].colorIdx);
+        return Int32Array.from(sortByKey(keys));
+      }
       
-      // Check if anchor matches saved anchor (if we have one from a loaded save)
-      if (state.savedAnchor) {
-        const matches = checkAnchorMatchesSaved();
-        if (matches) {
-          updateStatus(`✓ Anchor set at saved position: tile (${tileX}, ${tileY}), pixel (${pixelX}, ${pixelY})`);
-          hideSavedAnchorArrow();
-        } else {
-          // Anchor doesn't match - warn user but allow it
-          const savedTile = state.savedAnchor.tile;
-          const savedPixel = state.savedAnchor.pixel;
-          updateStatus(`⚠️ Anchor differs from save! Current: (${tileX},${tileY})/(${pixelX},${pixelY}) | Saved: (${savedTile.x},${savedTile.y})/(${savedPixel.x},${savedPixel.y})`);
-          // Keep arrow visible so user can see the saved position
+      case 'spiral': {
+        // Square rings from the centre outwards, clockwise within each ring
+        const cx = (width - 1) / 2;
+        const cy = (height - 1) / 2;
+        const keys = new Float64Array(count);
+        for (let i = 0; i < count; i++) {
+          const dx = pixels[i].x - cx;
+          const dy = pixels[i].y - cy;
+          const ring = Math.round(Math.max(Math.abs(dx), Math.abs(dy)));
+          const angle = (Math.atan2(dy, dx) + Math.PI) / (2 * Math.PI); // 0..1
+          keys[i] = ring + Math.min(angle, 0.999999);
         }
-      } else {
-        updateStatus(`Anchor set at tile (${tileX}, ${tileY}), pixel (${pixelX}, ${pixelY})`);
+        return Int32Array.from(sortByKey(keys));
       }
       
-      updatePlaceButtonState();
-
-      // Auto-enable template overlay when anchor is set and image is loaded
-      if (state.imageLoaded) {
-        enableTemplateOverlay();
+      case 'random': {
+        // Seeded Fisher-Yates so the order is stable across sessions
+        const random = mulberry32(state.placementSeed);
+        for (let i = count - 1; i > 0; i--) {
+          const j = Math.floor(random() * (i + 1));
+          const tmp = order[i];
+          order[i] = order[j];
+          order[j] = tmp;
+        }
+        return order;
+      }
+      
+      case 'tile': {
+        // Group by absolute wplace tile, then by block inside the tile, then raster
+        const ax = state.anchorSet ? state.anchorTile.x * CONFIG.TILE_SIZE + state.anchorPixel.x : 0;
+        const ay = state.anchorSet ? state.anchorTile.y * CONFIG.TILE_SIZE + state.anchorPixel.y : 0;
+        const blocksPerTile = Math.ceil(CONFIG.TILE_SIZE / PLACEMENT_BLOCK_SIZE);
+        const tileKeys = new Map();
+        const keys = new Float64Array(count);
+        for (let i = 0; i < count; i++) {
+          const absX = ax + pixels[i].x;
+          const absY = ay + pixels[i].y;
+          const tileKey = `${Math.floor(absX / CONFIG.TILE_SIZE)},${Math.floor(absY / CONFIG.TILE_SIZE)}`;
+          if (!tileKeys.has(tileKey)) tileKeys.set(tileKey, tileKeys.size);
+          const inX = ((absX % CONFIG.TILE_SIZE) + CONFIG.TILE_SIZE) % CONFIG.TILE_SIZE;
+          const inY = ((absY % CONFIG.TILE_SIZE) + CONFIG.TILE_SIZE) % CONFIG.TILE_SIZE;
+          const block = Math.floor(inY / PLACEMENT_BLOCK_SIZE) * blocksPerTile + Math.floor(inX / PLACEMENT_BLOCK_SIZE);
+          keys[i] = tileKeys.get(tileKey) * blocksPerTile * blocksPerTile + block;
+        }
+        return Int32Array.from(sortByKey(keys));
+      }
+      
+      case 'visible': {
+        // Contrast against the 8 neighbours; transparent neighbours count as full contrast
+        const keys = new Float64Array(count);
+        for (let i = 0; i < count; i++) {
+          const p = pixels[i];
+          let score = 0;
+          for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+              if (dx === 0 && dy === 0) continue;
+              const n = neighbourAt(p.x + dx, p.y + dy);
+              if (n < 0) {
+                score += 442; // Max RGB distance
+              } else {
+                const q = pixels[n];
+                score += Math.sqrt((p.r - q.r) ** 2 + (p.g - q.g) ** 2 + (p.b - q.b) ** 2);
+              }
+            }
+          }
+          keys[i] = -score;
+        }
+        return Int32Array.from(sortByKey(keys));
       }
+      
+      default:
+        return order;
+    }
+  }
+  
+  /**
+   * Small seeded PRNG (mulberry32)
+   */
+  function mulberry32(seed) {
+    let a = seed >>> 0;
+    return function() {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+  
+  function setPlacementStrategy(strategy) {
+    if (!PLACEMENT_STRATEGIES.includes(strategy)) return;
+    state.placementStrategy = strategy;
+    if (strategy === 'random' && state.placedCount === 0) {
+      state.placementSeed = (Math.random() * 0x7FFFFFFF) | 0;
     }
+    state.placementOrder = null;
+    updateStatus(`Placement order: ${strategy}`);
+    if (state.allPixels.length > 0) PatPlacerStorage.saveToLocal();
   }
 
   // ============================================================
@@ -3260,10 +7677,13 @@
   // ============================================================
   function updatePlaceButtonState() {
     const btn = document.getElementById('patplacer-place-btn');
-    const remaining = state.allPixels.length - state.currentBatchIndex;
+    const remaining = getRemainingCount();
     
     // Button enabled if: image loaded, anchor set, pixels remaining, has charges
-    btn.disabled = !(state.imageLoaded && state.anchorSet && remaining > 0 && state.currentCharges > 0);
+    const hasWork = state.batchTarget === 'all' && state.templates.length > 1
+      ? pickBatchTemplate() !== null
+      : state.imageLoaded && state.anchorSet && remaining > 0;
+    btn.disabled = !(hasWork && state.currentCharges > 0);
     
     updateBatchUI();
   }
@@ -3277,6 +7697,15 @@
    * Pre-scans to identify pixels that need placement vs already correct
    */
   async function placeNextBatch() {
+    // Targeting all templates: work on the highest priority one that still needs pixels
+    if (state.batchTarget === 'all' && !state.isPlacing) {
+      const next = pickBatchTemplate();
+      if (next && next.id !== state.activeTemplateId) {
+        activateTemplate(next.id);
+        updateStatus(`Switched to template "${state.projectName}"`);
+      }
+    }
+
     if (!state.imageLoaded || !state.anchorSet) {
       updateStatus('Error: Load image and set anchor first');
       return;
@@ -3285,9 +7714,9 @@
     // Refresh charges first
     await fetchCharges();
     
-    const remaining = state.allPixels.length - state.currentBatchIndex;
+    const remaining = getRemainingCount();
     if (remaining <= 0) {
-      updateStatus('All pixels already placed!');
+      updateStatus(state.guardEnabled ? 'Guard: no damaged pixels to repair' : 'All pixels already placed!');
       return;
     }
 
@@ -3298,7 +7727,7 @@
 
     // Check if we have a valid Map reference
     // For subsequent batches, we need to verify the Map is still valid
-    if (state.currentBatchIndex > 0) {
+    if (state.placedCount > 0) {
       // After first batch was painted, wplace may have a new Map
       // Check if our Map reference still seems valid
       const draftMap = findDraftMap();
@@ -3343,7 +7772,7 @@
     // Check if we have any charges to use
     if (availableCharges <= 0) {
       state.isPlacing = false;
-      if (state.currentBatchIndex === 0 && state.currentCharges <= 2) {
+      if (state.placedCount === 0 && state.currentCharges <= 2) {
         updateStatus('Need at least 3 charges (1 for anchor + 2 buffer)');
       } else {
         updateStatus('Not enough charges (need at least 3)');
@@ -3356,28 +7785,33 @@
     // ============================================
     updateStatus('Scanning pixels...');
     
-    const batchStart = state.currentBatchIndex;
-    const pixelsToPlace = [];  // Pixels that need to be placed
-    const pixelsToSkip = [];   // Pixels already correct (will be marked as done)
-    
-    // Scan through remaining pixels until we have enough to place OR run out of pixels
-    let scanIndex = batchStart;
-    while (pixelsToPlace.length < availableCharges && scanIndex < state.allPixels.length) {
-      const pixel = state.allPixels[scanIndex];
+    const order = getPlacementOrder();
+    const batch = [];          // {index, pixel, skip} in placement order
+    let placedCount = 0;       // Pixels that need to be placed
+    let skippedCount = 0;      // Pixels already correct (will be marked as done)
+    let batchColor = null;     // 'color' strategy: one palette color per batch
+    
+    // Walk the placement order, skipping confirmed pixels, until we have enough to place
+    for (let o = 0; o < order.length && placedCount < availableCharges; o++) {
+      const index = order[o];
+      if (isPixelComplete(index)) continue;
+      if (state.guardEnabled && !isStatusDamaged(state.pixelStatus[index])) continue;
       
-      if (isPixelAlreadyCorrect(pixel)) {
-        pixelsToSkip.push({ index: scanIndex, pixel });
-      } else {
-        pixelsToPlace.push({ index: scanIndex, pixel });
+      const pixel = state.allPixels[index];
+      if (state.placementStrategy === 'color') {
+        if (batchColor === null) batchColor = pixel.colorIdx;
+        else if (pixel.colorIdx !== batchColor) break;
       }
-      scanIndex++;
+      
+      const skip = isPixelAlreadyCorrect(pixel);
+      batch.push({ index, pixel, skip });
+      if (skip) skippedCount++;
+      else placedCount++;
     }
     
-    const totalInBatch = pixelsToPlace.length + pixelsToSkip.length;
-    const placedCount = pixelsToPlace.length;
-    const skippedCount = pixelsToSkip.length;
+    const totalInBatch = batch.length;
     
-    console.log(`[PatPlacer] Batch scan complete: ${placedCount} to place, ${skippedCount} to skip (already correct)`);
+    console.log(`[PatPlacer] Batch scan complete (${state.placementStrategy}): ${placedCount} to place, ${skippedCount} to skip (already correct)`);
     
     // Check if there's anything to do
     if (totalInBatch <= 0) {
@@ -3397,14 +7831,20 @@
     let processedCount = 0;
     
     // Process all pixels in order (both skip and place)
-    for (let i = batchStart; i < scanIndex && state.isPlacing; i++) {
-      const pixel = state.allPixels[i];
-      const isSkipped = pixelsToSkip.some(s => s.index === i);
+    for (let i = 0; i < batch.length && state.isPlacing; i++) {
+      const { index, pixel, skip } = batch[i];
       
-      if (!isSkipped) {
+      if (skip) {
+        // Canvas already shows the target color - nothing to paint
+        setPixelStatus(index, PIXEL_STATUS.VERIFIED);
+      } else {
         // Actually place this pixel
         placeDraft(pixel);
         state.placedPixels.push(pixel);
+        const previous = state.pixelStatus[index];
+        if (isStatusDamaged(previous)) state.repairDrafts.set(index, previous);
+        else state.repairDrafts.delete(index);
+        setPixelStatus(index, PIXEL_STATUS.DRAFTED);
       }
       
       processedCount++;
@@ -3430,9 +7870,8 @@
       }
     }
     
-    // Store pending batch info - progress updates after user confirms
-    state.pendingBatchCount = totalInBatch;
-    state.pendingSkippedCount = skippedCount;
+    // Drafted pixels are confirmed from the paint request once the user paints them
+    state.pendingSkippedCount = processedCount - state.placedPixels.length;
 
     // Trigger wplace UI to recognize the new drafts
     triggerDraftUIRefresh();
@@ -3441,7 +7880,8 @@
     console.log(`[PatPlacer] Batch drafted. ${placedCount} drafts placed, ${skippedCount} skipped. Awaiting user confirmation.`);
     debugDraftMap();
 
-    // NOTE: Don't auto-save here - save after user confirms
+    // Skipped pixels are already complete - save those now, drafts after user confirms
+    if (state.pendingSkippedCount > 0) PatPlacerStorage.saveToLocal();
 
     state.isPlacing = false;
     if (progressEl) progressEl.style.display = 'none';
@@ -3450,10 +7890,13 @@
     if (btnIcon) btnIcon.style.display = '';
     
     // Calculate remaining based on what WILL be after confirmation
-    const pendingConfirmedIndex = state.currentBatchIndex + totalInBatch;
-    const newRemaining = state.allPixels.length - pendingConfirmedIndex;
+    const newRemaining = state.guardEnabled
+      ? getDamagedCount()
+      : state.allPixels.length - state.placedCount - state.placedPixels.length;
     
-    if (newRemaining <= 0) {
+    if (state.guardEnabled) {
+      updateStatus(`Guard: ${placedCount} repair drafts placed${newRemaining > 0 ? `, ${newRemaining} damaged left` : ''}. Confirm on map.`);
+    } else if (newRemaining <= 0) {
       const skipMsg = skippedCount > 0 ? ` (${skippedCount} already correct)` : '';
       updateStatus(`✓ All ${state.allPixels.length} drafts placed${skipMsg}. Confirm on map to complete!`);
       btnTextEl.textContent = 'Awaiting Confirm';
@@ -3469,12 +7912,14 @@
     // Auto-switch to draft overlay after placement
     // Disable template overlay, enable draft overlay
     if (state.placedPixels.length > 0) {
-      // Disable template overlay
+      // Disable template / diff overlay
       state.templateOverlayEnabled = false;
+      state.diffOverlayEnabled = false;
       
       // Enable draft overlay
       state.draftOverlayEnabled = true;
       state.overlayMode = 'draft';
+      updateOverlayControls();
       
       installFetchInterceptor();
       await processPlacedPixelsIntoChunks();
@@ -3484,6 +7929,7 @@
     
     // Refresh charges after placing
     await fetchCharges();
+    offerDeferredPaletteChange();
   }
 
   function placeDraft(pixel) {
@@ -3670,6 +8116,7 @@
 
       // DEBUG: Log paint requests to see what colors are being sent
       // Also disable draft overlay when user confirms/paints drafts
+      let paintRequest = null;
       if (typeof url === 'string' && url.includes('/pixel/') && options.method === 'POST') {
         try {
           const body = options.body;
@@ -3680,51 +8127,14 @@
             if (parsed.colors) {
               console.log('[PatPlacer] Colors being sent:', parsed.colors);
             }
+            paintRequest = parsePaintRequest(url, parsed);
             
             // User confirmed drafts - disable draft overlay and clear placed pixels
             if (state.draftOverlayEnabled) {
               console.log('[PatPlacer] Drafts confirmed - disabling draft overlay');
               state.draftOverlayEnabled = false;
-              
-              // Update progress NOW that user has confirmed
-              if (state.pendingBatchCount > 0) {
-                state.currentBatchIndex += state.pendingBatchCount;
-                
-                // Update info panel progress (overall) - this is the real progress
-                const overallPercent = (state.currentBatchIndex / state.allPixels.length) * 100;
-                const infoFill = document.getElementById('patplacer-info-progress-fill');
-                const infoPlaced = document.getElementById('patplacer-info-placed');
-                if (infoFill) infoFill.style.width = `${overallPercent}%`;
-                if (infoPlaced) infoPlaced.textContent = state.currentBatchIndex.toLocaleString();
-                
-                const confirmedCount = state.placedPixels.length;
-                const skippedCount = state.pendingSkippedCount;
-                const skipMsg = skippedCount > 0 ? ` (${skippedCount} skipped)` : '';
-                console.log(`[PatPlacer] Confirmed ${confirmedCount} pixels${skipMsg}. Total progress: ${state.currentBatchIndex}/${state.allPixels.length}`);
-                
-                // Reset pending counts
-                state.pendingBatchCount = 0;
-                state.pendingSkippedCount = 0;
-                
-                // Update batch UI to reflect new progress
-                updateBatchUI();
-                
-                // Re-enable button if there are more pixels to place
-                const btn = document.getElementById('patplacer-batch-btn');
-                const remaining = state.allPixels.length - state.currentBatchIndex;
-                if (btn && remaining > 0) {
-                  btn.disabled = false;
-                } else if (btn && remaining <= 0) {
-                  // Mark as complete
-                  const btnTextEl = document.getElementById('patplacer-btn-text');
-                  if (btnTextEl) btnTextEl.textContent = '✓ Complete!';
-                  btn.disabled = true;
-                }
-                
-                // Auto-save progress after confirmation
-                PatPlacerStorage.saveToLocal();
-              }
-              
+              updateOverlayControls();
+              state.pendingSkippedCount = 0;
               state.placedPixels = [];
               state.chunkedTiles.clear();
               setTimeout(triggerMapRefresh, 500);
@@ -3733,7 +8143,6 @@
                 console.log('[PatPlacer] Auto-refreshing charges after paint');
                 fetchCharges();
               }, 1000);
-              updateStatus('Drafts confirmed! Progress updated. Refreshing charges...');
             }
           }
         } catch (e) {
@@ -3744,6 +8153,39 @@
       // Call original fetch
       const response = await originalFetch.apply(this, args);
 
+      // Update progress only from paint requests the server accepted
+      if (paintRequest) {
+        if (response.ok) {
+          const confirmedCount = confirmPaintedPixels(paintRequest);
+          if (confirmedCount > 0) {
+            console.log(`[PatPlacer] Confirmed ${confirmedCount} pixels in tile (${paintRequest.tileX}, ${paintRequest.tileY}). Total progress: ${state.placedCount}/${state.allPixels.length}`);
+            
+            // Update batch UI to reflect new progress
+            updateBatchUI();
+            updatePlaceButtonState();
+            if (state.guardEnabled) {
+              refreshGuardOverlay();
+              updateGuardPanel();
+            }
+            
+            // Auto-save progress after confirmation
+            PatPlacerStorage.saveToLocal();
+            updateStatus('Drafts confirmed! Progress updated. Refreshing charges...');
+          }
+          
+          // Pixels painted for other templates (e.g. by hand) count towards them too
+          for (const template of getBackgroundTemplates()) {
+            if (withTemplateState(template, () => confirmPaintedPixels(paintRequest)) > 0) {
+              saveTemplateProject(template);
+              updateTemplatesList();
+            }
+          }
+        } else {
+          console.warn(`[PatPlacer] Paint request failed (${response.status}) - drafts stay unconfirmed`);
+          updateStatus('Paint request failed - unconfirmed pixels will be placed again');
+        }
+      }
+
       // Intercept PNG tile responses
       // 1. Cache original tile data for skip-correct-pixels feature (always)
       // 2. Apply overlay if enabled
@@ -3770,23 +8212,57 @@
               const imageData = ctx.getImageData(0, 0, bitmap.width, bitmap.height);
               state.originalTilesData.set(tileKey, imageData);
               bitmap.close();
+              
+              // Verify template pixels against the fresh tile without holding up the response
+              setTimeout(() => {
+                const result = verifyTile(tileKey);
+                if (result.changed > 0) {
+                  recordDamage(tileKey, result);
+                  updateBatchUI();
+                  updatePlaceButtonState();
+                  PatPlacerStorage.saveToLocal();
+                }
+                for (const template of getBackgroundTemplates()) {
+                  const changed = withTemplateState(template, () => {
+                    const backgroundResult = verifyTile(tileKey);
+                    appendDamageHistory(tileKey, backgroundResult);
+                    return backgroundResult.changed;
+                  });
+                  if (changed > 0) saveTemplateProject(template);
+                }
+                if (state.templates.length > 1) updateTemplatesList();
+              }, 0);
             } catch (e) {
               console.warn('[PatPlacer] Error caching tile data:', tileKey, e);
             }
             
             // Apply overlay if enabled
-            const overlayActive = state.templateOverlayEnabled || state.draftOverlayEnabled;
+            const overlayActive = state.templateOverlayEnabled || state.draftOverlayEnabled ||
+              state.guardOverlayEnabled || state.diffOverlayEnabled;
             const anchorMarker = getAnchorMarkerForTile(tileKey);
             
             if (overlayActive || anchorMarker) {
               try {
                 let currentBlob = originalBlob;
                 
+                // Other visible templates go underneath the active one
+                if (state.templateOverlayEnabled) {
+                  for (const chunk of getBackgroundTemplateChunks(tileKey)) {
+                    currentBlob = await compositeTile(currentBlob, chunk.bitmap, chunk.opacity);
+                  }
+                }
+                
                 // First apply template/draft overlay if enabled
-                if (overlayActive) {
-                  const chunkBitmap = state.chunkedTiles.get(tileKey);
+                if (overlayActive && (state.templateVisible || !state.templateOverlayEnabled)) {
+                  // Diff chunks are built from the tile that just arrived
+                  const chunkBitmap = state.diffOverlayEnabled
+                    ? buildDiffChunk(tileKey)
+                    : state.chunkedTiles.get(tileKey);
                   if (chunkBitmap) {
-                    const opacity = state.overlayMode === 'draft' ? state.draftOverlayOpacity : state.templateOverlayOpacity;
+                    const opacity = state.overlayMode === 'draft' ? state.draftOverlayOpacity
+                      : state.overlayMode === 'guard' ? 1.0
+                      : state.overlayMode === 'diff' && state.diffMarkers ? 1.0
+                      : state.templateOverlayOpacity;
                     currentBlob = await compositeTile(currentBlob, chunkBitmap, opacity);
                   }
                 }
@@ -3824,16 +8300,20 @@
   async function compositeTile(originalBlob, overlayBitmap, opacity = 1.0) {
     const originalBitmap = await createImageBitmap(originalBlob);
     
-    const canvas = new OffscreenCanvas(originalBitmap.width, originalBitmap.height);
+    // Supersampled overlays upscale the tile; the map scales it back down
+    const width = Math.max(originalBitmap.width, overlayBitmap.width);
+    const height = Math.max(originalBitmap.height, overlayBitmap.height);
+    const canvas = new OffscreenCanvas(width, height);
     const ctx = canvas.getContext('2d');
     ctx.imageSmoothingEnabled = false;
 
     // Draw original tile
-    ctx.drawImage(originalBitmap, 0, 0);
+    ctx.drawImage(originalBitmap, 0, 0, width, height);
+    originalBitmap.close();
 
     // Apply overlay with opacity
     ctx.globalAlpha = opacity;
-    ctx.drawImage(overlayBitmap, 0, 0);
+    ctx.drawImage(overlayBitmap, 0, 0, width, height);
     ctx.globalAlpha = 1.0;
 
     // Convert back to blob
@@ -3844,17 +8324,17 @@
   /**
    * Calculate which tiles the image spans
    */
-  function calculateTileRange() {
-    if (!state.anchorSet || !state.imageLoaded) return null;
+  function calculateTileRange(source = state) {
+    if (!source.anchorSet || !source.imageLoaded) return null;
 
-    const startTileX = state.anchorTile.x;
-    const startTileY = state.anchorTile.y;
-    const startPixelX = state.anchorPixel.x;
-    const startPixelY = state.anchorPixel.y;
+    const startTileX = source.anchorTile.x;
+    const startTileY = source.anchorTile.y;
+    const startPixelX = source.anchorPixel.x;
+    const startPixelY = source.anchorPixel.y;
 
     // Calculate end position
-    const endPixelX = startPixelX + state.imageWidth - 1;
-    const endPixelY = startPixelY + state.imageHeight - 1;
+    const endPixelX = startPixelX + source.imageWidth - 1;
+    const endPixelY = startPixelY + source.imageHeight - 1;
 
     const endTileX = startTileX + Math.floor(endPixelX / CONFIG.TILE_SIZE);
     const endTileY = startTileY + Math.floor(endPixelY / CONFIG.TILE_SIZE);
@@ -3864,25 +8344,26 @@
 
   /**
    * Process a single tile for overlay
-   * Uses state.allPixels (palette-mapped colors) instead of raw imageBitmap
+   * Uses allPixels (palette-mapped colors) instead of raw imageBitmap
+   * @param {Object} [source] - state or a background template snapshot
    */
-  async function processTileChunk(tx, ty) {
-    if (!state.allPixels || state.allPixels.length === 0 || !state.anchorSet) return null;
+  async function processTileChunk(tx, ty, source = state) {
+    if (!source.allPixels || source.allPixels.length === 0 || !source.anchorSet) return null;
 
     // Group pixels that belong to this tile
     const tilePixels = [];
     
-    for (const pixel of state.allPixels) {
+    for (const pixel of source.allPixels) {
       // Calculate absolute pixel position
-      const absPixelX = state.anchorPixel.x + pixel.x;
-      const absPixelY = state.anchorPixel.y + pixel.y;
+      const absPixelX = source.anchorPixel.x + pixel.x;
+      const absPixelY = source.anchorPixel.y + pixel.y;
 
       // Calculate which tile this pixel belongs to
       const tileOffsetX = Math.floor(absPixelX / CONFIG.TILE_SIZE);
       const tileOffsetY = Math.floor(absPixelY / CONFIG.TILE_SIZE);
       
-      const pixelTileX = state.anchorTile.x + tileOffsetX;
-      const pixelTileY = state.anchorTile.y + tileOffsetY;
+      const pixelTileX = source.anchorTile.x + tileOffsetX;
+      const pixelTileY = source.anchorTile.y + tileOffsetY;
       
       // Only include pixels for this tile
       if (pixelTileX === tx && pixelTileY === ty) {
@@ -3895,39 +8376,32 @@
           y: pixelY,
           r: pixel.r,
           g: pixel.g,
-          b: pixel.b
+          b: pixel.b,
+          colorIdx: pixel.colorIdx
         });
       }
     }
     
     if (tilePixels.length === 0) return null;
 
-    // Draw pixels onto chunk canvas
-    const chunkCanvas = new OffscreenCanvas(CONFIG.TILE_SIZE, CONFIG.TILE_SIZE);
-    const chunkCtx = chunkCanvas.getContext('2d');
-    chunkCtx.imageSmoothingEnabled = false;
-
-    for (const pixel of tilePixels) {
-      chunkCtx.fillStyle = `rgb(${pixel.r}, ${pixel.g}, ${pixel.b})`;
-      chunkCtx.fillRect(pixel.x, pixel.y, 1, 1);
-    }
-
-    return chunkCanvas.transferToImageBitmap();
+    return drawOverlayTile(tilePixels);
   }
 
   /**
    * Process image into overlay tile chunks
+   * @param {Object} [source] - state or a background template snapshot
+   * @param {Map} [target] - Chunk map to fill
    */
-  async function processImageIntoChunks() {
-    if (!state.imageBitmap || !state.anchorSet) {
+  async function processImageIntoChunks(source = state, target = state.chunkedTiles) {
+    if (!source.imageBitmap || !source.anchorSet) {
       console.warn('[PatPlacer] Cannot process chunks - missing image or anchor');
       return;
     }
 
     console.log('[PatPlacer] Processing image into overlay chunks...');
-    state.chunkedTiles.clear();
+    target.clear();
 
-    const tileRange = calculateTileRange();
+    const tileRange = calculateTileRange(source);
     if (!tileRange) return;
 
     const { startTileX, startTileY, endTileX, endTileY } = tileRange;
@@ -3937,14 +8411,14 @@
     for (let ty = startTileY; ty <= endTileY; ty++) {
       for (let tx = startTileX; tx <= endTileX; tx++) {
         const tileKey = `${tx},${ty}`;
-        const chunkBitmap = await processTileChunk(tx, ty);
+        const chunkBitmap = await processTileChunk(tx, ty, source);
         if (chunkBitmap) {
-          state.chunkedTiles.set(tileKey, chunkBitmap);
+          target.set(tileKey, chunkBitmap);
         }
       }
     }
 
-    console.log(`[PatPlacer] Overlay processed: ${state.chunkedTiles.size} tiles created`);
+    console.log(`[PatPlacer] Overlay processed: ${target.size} tiles created`);
   }
 
   /**
@@ -3958,12 +8432,22 @@
     }
 
     console.log(`[PatPlacer] Processing ${state.placedPixels.length} placed pixels into overlay...`);
+    await processPixelsIntoChunks(state.placedPixels);
+    console.log(`[PatPlacer] Placed pixels overlay: ${state.chunkedTiles.size} tiles created`);
+  }
+
+  /**
+   * Replace the overlay chunks with a sparse set of template pixels
+   * @param {Array} pixels - Template pixels (relative x, y + r, g, b)
+   * @param {Object} [color] - Draw every pixel in this {r, g, b} instead of its own color
+   */
+  async function processPixelsIntoChunks(pixels, color = null) {
     state.chunkedTiles.clear();
 
     // Group pixels by tile
     const pixelsByTile = new Map();
     
-    for (const pixel of state.placedPixels) {
+    for (const pixel of pixels) {
       const absPixelX = state.anchorPixel.x + pixel.x;
       const absPixelY = state.anchorPixel.y + pixel.y;
 
@@ -3980,32 +8464,79 @@
       if (!pixelsByTile.has(tileKey)) {
         pixelsByTile.set(tileKey, []);
       }
-      pixelsByTile.get(tileKey).push({ x: pixelX, y: pixelY, r: pixel.r, g: pixel.g, b: pixel.b });
+      const { r, g, b } = color || pixel;
+      pixelsByTile.get(tileKey).push({ x: pixelX, y: pixelY, r, g, b, colorIdx: pixel.colorIdx });
     }
 
     // Process each tile
-    for (const [tileKey, pixels] of pixelsByTile) {
-      const chunkBitmap = await processPlacedPixelsTile(pixels);
+    for (const [tileKey, tilePixels] of pixelsByTile) {
+      const chunkBitmap = await processPlacedPixelsTile(tilePixels);
       if (chunkBitmap) {
         state.chunkedTiles.set(tileKey, chunkBitmap);
       }
     }
-
-    console.log(`[PatPlacer] Placed pixels overlay: ${state.chunkedTiles.size} tiles created`);
   }
 
   /**
    * Process a single tile containing placed pixels
    */
   async function processPlacedPixelsTile(pixels) {
-    // Draw 1:1 pixels
-    const chunkCanvas = new OffscreenCanvas(CONFIG.TILE_SIZE, CONFIG.TILE_SIZE);
+    return drawOverlayTile(pixels);
+  }
+
+  const OVERLAY_STYLES = ['fill', 'dot', 'symbol', 'checker'];
+
+  // 3x3 overlay cell masks - bit (row * 3 + col)
+  const OVERLAY_DOT_MASK = 0b000010000;     // Centre only
+  const OVERLAY_CHECKER_MASK = 0b101010101; // Corners + centre
+
+  // Symbol glyphs: distinct 3x3 patterns with 3-5 cells, so every palette color
+  // gets its own shape regardless of how it is perceived
+  const SYMBOL_GLYPHS = (() => {
+    const glyphs = [];
+    for (let mask = 1; mask < 512; mask++) {
+      let bits = 0;
+      for (let b = 0; b < 9; b++) bits += (mask >> b) & 1;
+      if (bits >= 3 && bits <= 5) glyphs.push(mask);
+    }
+    // Interleave so neighbouring color ids get visibly different shapes
+    return glyphs.filter((m, i) => i % 7 === 0).concat(glyphs.filter((m, i) => i % 7 !== 0));
+  })();
+
+  function getSymbolGlyph(colorIdx) {
+    return SYMBOL_GLYPHS[(colorIdx >>> 0) % SYMBOL_GLYPHS.length];
+  }
+
+  /**
+   * Draw overlay pixels for one tile in the current overlay style
+   * 'fill' draws 1:1; other styles draw a pattern into a supersampled cell so the
+   * real canvas stays visible between the marks
+   * @param {Array} pixels - [{x, y, r, g, b, colorIdx}] with x, y inside the tile
+   * @returns {ImageBitmap}
+   */
+  function drawOverlayTile(pixels) {
+    const style = state.overlayStyle;
+    const scale = style === 'fill' ? 1 : CONFIG.OVERLAY_SUPERSAMPLE;
+    const chunkCanvas = new OffscreenCanvas(CONFIG.TILE_SIZE * scale, CONFIG.TILE_SIZE * scale);
     const chunkCtx = chunkCanvas.getContext('2d');
     chunkCtx.imageSmoothingEnabled = false;
 
     for (const pixel of pixels) {
       chunkCtx.fillStyle = `rgb(${pixel.r}, ${pixel.g}, ${pixel.b})`;
-      chunkCtx.fillRect(pixel.x, pixel.y, 1, 1);
+      const cellX = pixel.x * scale;
+      const cellY = pixel.y * scale;
+
+      if (style === 'fill') {
+        chunkCtx.fillRect(cellX, cellY, 1, 1);
+        continue;
+      }
+
+      const mask = style === 'symbol' ? getSymbolGlyph(pixel.colorIdx)
+        : style === 'checker' ? OVERLAY_CHECKER_MASK
+        : OVERLAY_DOT_MASK;
+      for (let bit = 0; bit < 9; bit++) {
+        if (mask & (1 << bit)) chunkCtx.fillRect(cellX + (bit % 3), cellY + Math.floor(bit / 3), 1, 1);
+      }
     }
 
     return chunkCanvas.transferToImageBitmap();
@@ -4050,7 +8581,8 @@
 
   // Enable template overlay (full image preview)
   function enableTemplateOverlay() {
-    if (!state.imageLoaded || !state.anchorSet) {
+    stashActiveTemplate();
+    if (!state.templates.some(t => t.imageLoaded && t.anchorSet) && !(state.imageLoaded && state.anchorSet)) {
       updateStatus('Load image and set anchor first');
       return;
     }
@@ -4060,10 +8592,10 @@
     
     installFetchInterceptor();
     
-    processImageIntoChunks().then(() => {
-      setTimeout(triggerMapRefresh, 200);
+    refreshTemplateOverlays().then(() => {
       updateStatus('Template overlay enabled');
     });
+    updateOverlayControls();
   }
 
   // Enable draft overlay (shows placed drafts only)
@@ -4082,21 +8614,25 @@
       setTimeout(triggerMapRefresh, 200);
       updateStatus('Draft overlay ON - showing ' + state.placedPixels.length + ' drafts');
     });
+    updateOverlayControls();
   }
 
   function disableOverlay() {
     state.templateOverlayEnabled = false;
     state.draftOverlayEnabled = false;
+    state.guardOverlayEnabled = false;
+    state.diffOverlayEnabled = false;
     state.chunkedTiles.clear();
+    for (const template of getBackgroundTemplates()) template.chunkedTiles = new Map();
     // Trigger refresh to show original tiles
     setTimeout(triggerMapRefresh, 100);
+    updateOverlayControls();
     updateStatus('Overlay disabled');
   }
 
   function refreshOverlay() {
     if (state.templateOverlayEnabled) {
-      processImageIntoChunks().then(() => {
-        setTimeout(triggerMapRefresh, 200);
+      refreshTemplateOverlays().then(() => {
         updateStatus('Template overlay refreshed');
       });
     } else if (state.draftOverlayEnabled) {
@@ -4104,7 +8640,100 @@
         setTimeout(triggerMapRefresh, 200);
         updateStatus('Draft overlay refreshed');
       });
+    } else if (state.diffOverlayEnabled) {
+      setTimeout(triggerMapRefresh, 200);
+      updateStatus('Diff overlay refreshed');
+    } else if (state.guardOverlayEnabled) {
+      refreshGuardOverlay();
+    }
+  }
+
+  // Enable diff overlay (only template pixels the canvas doesn't match yet)
+  function enableDiffOverlay() {
+    if (!state.anchorSet || state.allPixels.length === 0) {
+      updateStatus('Load image and set anchor first');
+      return;
+    }
+
+    state.templateOverlayEnabled = false;
+    state.draftOverlayEnabled = false;
+    state.guardOverlayEnabled = false;
+    state.diffOverlayEnabled = true;
+    state.overlayMode = 'diff';
+    state.chunkedTiles.clear();
+    
+    installFetchInterceptor();
+    
+    // Tiles must be re-fetched so each diff is built from fresh canvas data
+    setTimeout(triggerMapRefresh, 200);
+    updateOverlayControls();
+    updateStatus('Diff overlay enabled - showing wrong pixels only');
+  }
+
+  /**
+   * Build a diff chunk for a tile from its freshly cached canvas data
+   * @param {string} tileKey - "tileX,tileY"
+   * @returns {ImageBitmap|null} - null if the tile has no wrong pixels
+   */
+  function buildDiffChunk(tileKey) {
+    if (!state.anchorSet) return null;
+    const indices = getTilePixelIndices().get(tileKey);
+    const tileData = state.originalTilesData.get(tileKey);
+    if (!indices || !tileData) return null;
+
+    const colorIdAt = createColorIdLookup();
+    const canvasData = tileData.data;
+    const marker = state.diffMarkers ? CONFIG.HIGHLIGHT_COLOR : null;
+    const wrongPixels = [];
+
+    for (const index of indices) {
+      const pixel = state.allPixels[index];
+      const inX = (((state.anchorPixel.x + pixel.x) % CONFIG.TILE_SIZE) + CONFIG.TILE_SIZE) % CONFIG.TILE_SIZE;
+      const inY = (((state.anchorPixel.y + pixel.y) % CONFIG.TILE_SIZE) + CONFIG.TILE_SIZE) % CONFIG.TILE_SIZE;
+      const i = (inY * tileData.width + inX) * 4;
+
+      const correct = canvasData[i + 3] >= 128 &&
+        colorIdAt(canvasData[i], canvasData[i + 1], canvasData[i + 2]) === pixel.colorIdx;
+      if (correct) continue;
+
+      const { r, g, b } = marker || pixel;
+      wrongPixels.push({ x: inX, y: inY, r, g, b, colorIdx: pixel.colorIdx });
+    }
+
+    return wrongPixels.length > 0 ? drawOverlayTile(wrongPixels) : null;
+  }
+
+  /**
+   * Apply the overlay mode chosen in the Overlay section
+   * @param {string} mode - 'off' | 'template' | 'diff'
+   */
+  function setOverlayMode(mode) {
+    if (mode === 'template') {
+      state.diffOverlayEnabled = false;
+      state.draftOverlayEnabled = false;
+      state.guardOverlayEnabled = false;
+      enableTemplateOverlay();
+    } else if (mode === 'diff') {
+      enableDiffOverlay();
+    } else {
+      disableOverlay();
+    }
+    updateOverlayControls();
+  }
+
+  // Keep the Overlay section in sync with overlays switched on automatically
+  function updateOverlayControls() {
+    const modeSelect = document.getElementById('patplacer-overlay-mode');
+    if (modeSelect) {
+      let mode = 'off';
+      if (state.diffOverlayEnabled) mode = 'diff';
+      else if (state.draftOverlayEnabled) mode = 'draft';
+      else if (state.guardOverlayEnabled) mode = 'guard';
+      else if (state.templateOverlayEnabled) mode = 'template';
+      modeSelect.value = mode;
     }
+    const markersRow = document.getElementById('patplacer-diff-markers-row');
+    if (markersRow) markersRow.style.display = state.diffOverlayEnabled ? '' : 'none';
   }
 
   // ============================================================
@@ -4115,6 +8744,40 @@
   let anchorMarkerTiles = new Map();
   let anchorMarkerEnabled = false;
   
+  /**
+   * Remember a saved anchor for the arrow guide (or clear it)
+   * @param {Object|null} anchor - {tile, pixel}
+   */
+  function restoreSavedAnchor(anchor) {
+    if (!anchor) {
+      state.savedAnchor = null;
+      return;
+    }
+    
+    // Store the original anchor position for the arrow guide
+    state.savedAnchor = {
+      tile: { ...anchor.tile },
+      pixel: { ...anchor.pixel }
+    };
+    
+    // Don't auto-restore anchor - let user re-capture it
+    // But show UI that we have a saved anchor position
+    state.anchorSet = false;
+    state.anchorTile = null;
+    state.anchorPixel = null;
+    
+    const tileEl = document.getElementById('patplacer-tile-pos');
+    const pixelEl = document.getElementById('patplacer-pixel-pos');
+    if (tileEl) tileEl.textContent = '(not set)';
+    if (pixelEl) pixelEl.textContent = '(not set)';
+    
+    const capBtn = document.getElementById('patplacer-capture-btn');
+    if (capBtn) capBtn.innerHTML = `<img src="${CONFIG.ICON_BASE}location.png" class="pp-btn-icon" alt=""> Capture Anchor`;
+    
+    // Show the arrow guide to saved anchor position
+    showSavedAnchorArrow();
+  }
+  
   /**
    * Show a marker on the map at the saved anchor position.
    * This draws directly onto the map tiles like the template overlay.
@@ -4358,17 +9021,26 @@
     // Initialize image processor - wait a moment for it to be available
     await initImageProcessor();
     
+    ensureTemplates();
     createPanel();
     showPanel();
     
     // Setup observer to capture colors when user opens palette
     setupColorPaletteObserver();
     
-    // Fetch charges on startup
+    // Fetch charges on startup (also identifies the account for the saved palette)
     await fetchCharges();
+    
+    // Reuse the palette captured in an earlier session until the picker is opened again
+    const savedPalette = PatPlacerPaletteStore.load(state.accountId);
+    if (savedPalette && !state.colorsCaptured) {
+      onColorsCaptured(savedPalette.available, savedPalette.locked, { restored: true });
+    }
 
-    // Check for autosave
-    if (PatPlacerStorage.hasAutosave()) {
+    // Move the old single autosave into the project library, then offer the active project
+    await PatPlacerLibrary.migrateAutosave();
+    updateLibraryPanel();
+    if (await PatPlacerStorage.hasAutosave()) {
       const autosaveRow = document.getElementById('patplacer-autosave-row');
       if (autosaveRow) {
         autosaveRow.style.display = 'block';
@@ -4376,8 +9048,10 @@
     }
     
     console.log('[PatPlacer] Initialized successfully');
-    console.log('[PatPlacer] Open the color picker to capture available colors');
-    updateStatus('Open wplace color picker to capture available colors');
+    if (!state.colorsCaptured) {
+      console.log('[PatPlacer] Open the color picker to capture available colors');
+      updateStatus('Open wplace color picker to capture available colors');
+    }
   }
 
   // Expose API